@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Run Comparison
+ * Compares a run against an earlier one, e.g. a failing release candidate
+ * against the last green run: newly failing and newly passing steps,
+ * duration deltas per step and the screenshots of both runs side by side
+ *
+ * Usage: node compare-runs.js [baseline] [candidate] [--html comparison.html] [--json]
+ *                             [--min-delta 1000] [--threshold 0.001] [--no-screenshots]
+ *        Runs are test_results.json files, run directories, run IDs, "latest" or
+ *        "last-passed" (baseline defaults to last-passed, candidate to latest)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RunComparison = require('./test/helpers/RunComparison');
+
+function parseArgs(argv) {
+    const options = { runs: [], html: null, json: false, minDelta: 1000, threshold: 0.001, screenshots: true };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--html') {
+            options.html = argv[++i];
+        } else if (argv[i] === '--json') {
+            options.json = true;
+        } else if (argv[i] === '--min-delta') {
+            options.minDelta = Number(argv[++i]);
+        } else if (argv[i] === '--threshold') {
+            options.threshold = Number(argv[++i]);
+        } else if (argv[i] === '--no-screenshots') {
+            options.screenshots = false;
+        } else {
+            options.runs.push(argv[i]);
+        }
+    }
+
+    if (options.runs.length > 2 || Number.isNaN(options.minDelta) || Number.isNaN(options.threshold)) {
+        throw new Error('Usage: node compare-runs.js [baseline] [candidate] [--html comparison.html] [--json] [--min-delta ms] [--threshold ratio] [--no-screenshots]');
+    }
+    const [baseline = 'last-passed', candidate = 'latest'] = options.runs;
+    return { ...options, baseline, candidate };
+}
+
+async function compareRuns() {
+    const options = parseArgs(process.argv.slice(2));
+    const candidate = RunComparison.load(options.candidate);
+    const baseline = RunComparison.load(options.baseline, { before: candidate });
+
+    // Screenshots of both runs share the candidate device's masks (status bar clock, ...)
+    const device = (candidate.results.run || {}).device;
+    const masksFile = path.join(process.env.BASELINE_DIR || path.join('test', 'baselines', device || 'emulator'), 'masks.json');
+    const comparison = RunComparison.compare(baseline, candidate, {
+        minDelta: options.minDelta,
+        threshold: options.threshold,
+        screenshots: options.screenshots,
+        masksFile
+    });
+
+    const htmlPath = options.html || path.join(path.dirname(candidate.file), `comparison_${baseline.id.replace(/[^\w.-]/g, '_')}.html`);
+    fs.mkdirSync(path.dirname(htmlPath), { recursive: true });
+    fs.writeFileSync(htmlPath, RunComparison.generateHtml(comparison, { outputDir: path.dirname(htmlPath) }));
+
+    if (options.json) {
+        console.log(JSON.stringify(comparison, null, 2));
+    } else {
+        console.log(RunComparison.formatComparison(comparison));
+        console.log(comparison.newlyFailing.length > 0 ?
+            `\n⚠️ ${comparison.newlyFailing.length} step(s) newly failing` :
+            '\n✅ No newly failing steps');
+        console.log(`📄 Comparison report: ${htmlPath}`);
+    }
+
+    process.exitCode = comparison.newlyFailing.length > 0 ? 1 : 0;
+}
+
+compareRuns().catch(error => {
+    console.error('❌ Run comparison failed:', error.message);
+    process.exit(1);
+});
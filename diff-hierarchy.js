@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Hierarchy Diff
+ * Shows what changed on a screen between two page-source captures, e.g. the
+ * committed element_discovery_source.xml and a capture from a new APK
+ *
+ * Usage: node diff-hierarchy.js [before.xml] <after.xml | --live> [--html test-results/hierarchy-diff.html]
+ *                               [--json] [--tolerance 2]
+ *        (before defaults to element_discovery_source.xml)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { remote } = require('webdriverio');
+const DeviceProfiles = require('./test/helpers/DeviceProfiles');
+const UiHierarchy = require('./test/helpers/UiHierarchy');
+const HierarchyDiff = require('./test/helpers/HierarchyDiff');
+
+function parseArgs(argv) {
+    const options = { files: [], live: false, html: null, json: false, tolerance: 2 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--live') {
+            options.live = true;
+        } else if (argv[i] === '--html') {
+            options.html = argv[++i];
+        } else if (argv[i] === '--json') {
+            options.json = true;
+        } else if (argv[i] === '--tolerance') {
+            options.tolerance = parseInt(argv[++i], 10);
+        } else {
+            options.files.push(argv[i]);
+        }
+    }
+
+    const expected = options.live ? 1 : 2;
+    if (options.files.length === expected - 1) {
+        options.files.unshift('./element_discovery_source.xml');
+    }
+    if (options.files.length !== expected || Number.isNaN(options.tolerance)) {
+        throw new Error('Usage: node diff-hierarchy.js [before.xml] <after.xml | --live> [--html report.html] [--json] [--tolerance px]');
+    }
+    return options;
+}
+
+/**
+ * Page source of the screen currently shown on the device
+ */
+async function captureLiveSource() {
+    const profile = DeviceProfiles.resolve();
+    console.log(`📱 Profile: ${profile.name} - ${DeviceProfiles.describe(profile)}`);
+    const driver = await remote(DeviceProfiles.getRemoteOptions(profile));
+    try {
+        await driver.pause(3000);
+        return { xml: await driver.getPageSource(), name: `live session (${profile.name})` };
+    } finally {
+        await driver.deleteSession();
+    }
+}
+
+async function diffHierarchy() {
+    const options = parseArgs(process.argv.slice(2));
+    const [beforePath, afterPath] = options.files;
+    const beforeDocument = UiHierarchy.load(beforePath);
+    const after = options.live ?
+        await captureLiveSource() :
+        { xml: fs.readFileSync(afterPath, 'utf8'), name: path.basename(afterPath) };
+    const afterDocument = UiHierarchy.parse(after.xml);
+
+    const names = { beforeName: path.basename(beforePath), afterName: after.name };
+    const diff = HierarchyDiff.diff(beforeDocument, afterDocument, { tolerance: options.tolerance });
+    const changes = HierarchyDiff.changeCount(diff);
+
+    if (options.json) {
+        // Entries carry their DOM element, which does not serialize
+        console.log(JSON.stringify(diff, (key, value) => (key === 'element' ? undefined : value), 2));
+    } else {
+        console.log(HierarchyDiff.formatDiff(diff, names));
+        console.log(changes > 0 ? `\n⚠️ ${changes} structural change(s) found` : '\n✅ No structural changes');
+    }
+
+    if (options.html) {
+        fs.mkdirSync(path.dirname(options.html), { recursive: true });
+        fs.writeFileSync(options.html, String(HierarchyDiff.generateHtml(diff, { ...names, beforeDocument, afterDocument })));
+        if (!options.json) {
+            console.log(`📄 HTML diff written to ${options.html}`);
+        }
+    }
+
+    process.exitCode = changes > 0 ? 1 : 0;
+}
+
+diffHierarchy().catch(error => {
+    console.error('❌ Hierarchy diff failed:', error.message);
+    process.exit(1);
+});
@@ -5,30 +5,24 @@
  */
 
 const { remote } = require('webdriverio');
-const path = require('path');
 const fs = require('fs');
+const DeviceProfiles = require('./test/helpers/DeviceProfiles');
+const AppCrawler = require('./test/helpers/AppCrawler');
+
+// Crawler mode: node discover-elements.js --crawl [--max-depth N] [--max-screens N] [--crawl-output DIR]
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+const CRAWL = args.includes('--crawl');
 
 async function discoverElements() {
     console.log('🔍 Starting element discovery...');
     
-    const capabilities = {
-        platformName: 'Android',
-        'appium:deviceName': 'Android Emulator',
-        'appium:platformVersion': '15',
-        'appium:app': path.join(process.cwd(), 'app-dev-release.apk'),
-        'appium:automationName': 'UiAutomator2',
-        'appium:newCommandTimeout': 240,
-        'appium:connectHardwareKeyboard': true,
-        'appium:noReset': false,
-        'appium:fullReset': false
-    };
-
-    const wdOpts = {
-        hostname: 'localhost',
-        port: 4723,
-        path: '/',
-        capabilities
-    };
+    const profile = DeviceProfiles.resolve();
+    const wdOpts = DeviceProfiles.getRemoteOptions(profile);
+    console.log(`📱 Profile: ${profile.name} - ${DeviceProfiles.describe(profile)}`);
 
     let driver;
     
@@ -38,6 +32,11 @@ async function discoverElements() {
         
         // Wait for app to load
         await driver.pause(5000);
+
+        if (CRAWL) {
+            await crawlApp(driver);
+            return;
+        }
         
         console.log('📸 Taking screenshot...');
         await driver.saveScreenshot('./screenshots/element_discovery.png');
@@ -169,5 +168,27 @@ async function discoverElements() {
     }
 }
 
+/**
+ * Tap through the whole app and write the screen graph and HTML map
+ */
+async function crawlApp(driver) {
+    global.browser = driver;
+    global.$ = (selector) => driver.$(selector);
+    global.$$ = (selector) => driver.$$(selector);
+
+    const crawler = new AppCrawler({
+        outputDir: option('--crawl-output', './test-results/crawl'),
+        maxDepth: Number(option('--max-depth', 3)),
+        maxScreens: Number(option('--max-screens', 25))
+    });
+    const graph = await crawler.crawl();
+
+    console.log('\n✅ Crawl completed!');
+    console.log('📁 Check the following files:');
+    console.log(`  - ${crawler.outputDir}/graph.json (screens and transitions)`);
+    console.log(`  - ${crawler.outputDir}/index.html (screen map)`);
+    console.log(`  - ${crawler.outputDir}/screens/ (${graph.nodes.length} screenshots and page sources)`);
+}
+
 // Run the discovery
 discoverElements().catch(console.error);
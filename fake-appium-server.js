@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Appium Server - Command Line
+ * Serves captured page-source XML files as a WebDriver/Appium endpoint
+ *
+ * Usage: node fake-appium-server.js [--port 4724] [--map path/to/transitions.json] [--verbose]
+ */
+
+const FakeAppiumServer = require('./test/helpers/FakeAppiumServer');
+
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+    const options = {
+        port: Number(getArg('port') || process.env.APPIUM_PORT || 4724),
+        verbose: process.argv.includes('--verbose')
+    };
+    if (getArg('map')) {
+        options.transitions = getArg('map');
+    }
+
+    const server = new FakeAppiumServer(options);
+    await server.start();
+    console.log('💡 Point the runner at it with: APPIUM_PORT=' + server.port + ' node run-single-test.js');
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ Fake Appium server failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Page Object Generator
+ * Emits a page-object class from a captured page-source XML or the screen
+ * currently shown in a live session, or shows how an existing page object
+ * differs from what would be generated
+ *
+ * Usage: node generate-page-object.js [hierarchy.xml | --live] [--class ProductionDataPage]
+ *                                     [--out test/pageobjects/NewPage.js] [--diff test/pageobjects/ProductionDataPage.js]
+ *        (defaults to element_discovery_source.xml, printing the class to the console)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { remote } = require('webdriverio');
+const DeviceProfiles = require('./test/helpers/DeviceProfiles');
+const UiHierarchy = require('./test/helpers/UiHierarchy');
+const PageObjectGenerator = require('./test/helpers/PageObjectGenerator');
+
+function parseArgs(argv) {
+    const options = { hierarchy: null, live: false, className: null, out: null, diff: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--live') {
+            options.live = true;
+        } else if (argv[i] === '--class') {
+            options.className = argv[++i];
+        } else if (argv[i] === '--out') {
+            options.out = argv[++i];
+        } else if (argv[i] === '--diff') {
+            options.diff = argv[++i];
+        } else {
+            options.hierarchy = argv[i];
+        }
+    }
+
+    if (!options.live && !options.hierarchy) {
+        options.hierarchy = './element_discovery_source.xml';
+    }
+    if (!options.className) {
+        options.className = options.diff ? path.basename(options.diff, '.js') :
+            options.out ? path.basename(options.out, '.js') : 'GeneratedPage';
+    }
+    return options;
+}
+
+/**
+ * Page source of the screen currently shown on the device
+ */
+async function captureLiveSource() {
+    const profile = DeviceProfiles.resolve();
+    console.log(`📱 Profile: ${profile.name} - ${DeviceProfiles.describe(profile)}`);
+    const driver = await remote(DeviceProfiles.getRemoteOptions(profile));
+    try {
+        await driver.pause(3000);
+        return { xml: await driver.getPageSource(), source: `a live session (${profile.name})` };
+    } finally {
+        await driver.deleteSession();
+    }
+}
+
+async function generatePageObject() {
+    const options = parseArgs(process.argv.slice(2));
+    const { xml, source } = options.live ?
+        await captureLiveSource() :
+        { xml: fs.readFileSync(options.hierarchy, 'utf8'), source: path.basename(options.hierarchy) };
+    const document = UiHierarchy.parse(xml);
+
+    if (options.diff) {
+        const pageObject = require(path.resolve(options.diff));
+        const diff = PageObjectGenerator.diff(document, pageObject);
+        console.log(`🔍 Comparing ${options.diff} with getters generated from ${source}`);
+        console.log(PageObjectGenerator.formatDiff(path.basename(options.diff, '.js'), diff));
+        // Non-zero exit code when the page object is out of date
+        process.exitCode = diff.changed.length + diff.added.length + diff.removed.length > 0 ? 1 : 0;
+        return;
+    }
+
+    const code = PageObjectGenerator.generate(document, { className: options.className, source });
+    if (options.out) {
+        fs.writeFileSync(options.out, code);
+        const count = PageObjectGenerator.getters(document).length;
+        console.log(`✅ ${options.className} with ${count} getters written to ${options.out}`);
+    } else {
+        console.log(code);
+    }
+}
+
+generatePageObject().catch(error => {
+    console.error('❌ Page object generation failed:', error.message);
+    process.exit(1);
+});
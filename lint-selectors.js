@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Selector Lint
+ * Checks page object selectors against captured page-source XML files
+ *
+ * Usage: node lint-selectors.js [--page test/pageobjects/ProductionDataPage.js] [--json] [hierarchy.xml ...]
+ *        (defaults to every page object, element_discovery_source.xml and the fake server's screens)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SelectorLinter = require('./test/helpers/SelectorLinter');
+
+function parseArgs(argv) {
+    const options = { pages: [], hierarchies: [], json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--page') {
+            options.pages.push(argv[++i]);
+        } else if (argv[i] === '--json') {
+            options.json = true;
+        } else {
+            options.hierarchies.push(argv[i]);
+        }
+    }
+
+    if (options.pages.length === 0) {
+        const pageDir = './test/pageobjects';
+        options.pages = fs.readdirSync(pageDir)
+            .filter(file => file.endsWith('.js'))
+            .map(file => path.join(pageDir, file));
+    }
+    if (options.hierarchies.length === 0) {
+        const screenDir = './test/fixtures/screens';
+        options.hierarchies = ['./element_discovery_source.xml'].concat(fs.readdirSync(screenDir)
+            .filter(file => file.endsWith('.xml'))
+            .map(file => path.join(screenDir, file)));
+    }
+    return options;
+}
+
+function lintSelectors() {
+    const options = parseArgs(process.argv.slice(2));
+    const reports = {};
+    let errors = 0;
+
+    options.pages.forEach(pagePath => {
+        const pageObject = require(path.resolve(pagePath));
+        const report = SelectorLinter.lint(pageObject, options.hierarchies);
+        reports[path.basename(pagePath, '.js')] = report;
+        errors += report.summary.errors;
+
+        if (!options.json) {
+            console.log(SelectorLinter.formatReport(path.basename(pagePath, '.js'), report));
+        }
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        console.log(errors > 0 ?
+            `\n❌ ${errors} selector(s) match nothing in the captured hierarchies` :
+            '\n✅ No broken selectors found');
+    }
+
+    process.exitCode = errors > 0 ? 1 : 0;
+}
+
+try {
+    lintSelectors();
+} catch (error) {
+    console.error('❌ Selector lint failed:', error.message);
+    process.exit(1);
+}
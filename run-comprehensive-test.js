@@ -8,9 +8,13 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const DeviceProfiles = require('./test/helpers/DeviceProfiles');
+const RunOutput = require('./test/helpers/RunOutput');
+const Duration = require('./test/helpers/Duration');
 
 class ComprehensiveTestRunner {
     constructor() {
+        this.profile = null;
         this.results = {
             startTime: null,
             endTime: null,
@@ -27,16 +31,21 @@ class ComprehensiveTestRunner {
     async checkPrerequisites() {
         console.log('🔍 Checking prerequisites...');
 
+        // Resolve device/app profile (--device-profile, --app-profile or DEVICE_PROFILE, APP_PROFILE)
+        this.profile = DeviceProfiles.resolve();
+        console.log(`📱 Profile: ${this.profile.name} - ${DeviceProfiles.describe(this.profile)}`);
+
         // Check if APK exists
-        const apkPath = './app-dev-release.apk';
-        if (!fs.existsSync(apkPath)) {
-            throw new Error(`APK file not found: ${apkPath}`);
+        if (!DeviceProfiles.appExists(this.profile)) {
+            throw new Error(`APK file not found: ${this.profile.app.path}`);
         }
         console.log('✅ APK file found');
 
         // Check if Appium server is running
+        const { hostname, port, path: basePath } = this.profile.connection;
+        const statusUrl = `http://${hostname}:${port}${basePath.replace(/\/$/, '')}/status`;
         try {
-            const response = await fetch('http://localhost:4723/status');
+            const response = await fetch(statusUrl);
             if (response.ok) {
                 console.log('✅ Appium server is running');
             } else {
@@ -56,7 +65,10 @@ class ComprehensiveTestRunner {
      * Ensure required directories exist
      */
     ensureDirectories() {
-        const dirs = ['screenshots', 'test-results', 'allure-results'];
+        // Creates test-results/runs/<run id>/; RUN_ID makes the WDIO worker write into it too
+        RunOutput.current();
+
+        const dirs = ['allure-results'];
         dirs.forEach(dir => {
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true });
@@ -82,7 +94,13 @@ class ComprehensiveTestRunner {
                 './test/specs/single-comprehensive-test.js'
             ], {
                 stdio: 'pipe',
-                shell: true
+                shell: true,
+                // Hand the resolved profile to the WDIO process so CLI flags given here apply there too
+                env: {
+                    ...process.env,
+                    DEVICE_PROFILE: this.profile.device.name,
+                    APP_PROFILE: this.profile.app.name
+                }
             });
 
             let output = '';
@@ -145,14 +163,14 @@ class ComprehensiveTestRunner {
             files: {
                 screenshots: this.getScreenshotFiles(),
                 testResults: this.getTestResultFiles(),
-                htmlReport: './test-results/comprehensive_test_report.html'
+                htmlReport: RunOutput.path('comprehensive_test_report.html')
             },
             output: this.results.output,
             error: this.results.error
         };
 
         // Save summary
-        const summaryPath = path.join('./test-results', 'test_run_summary.json');
+        const summaryPath = RunOutput.path('test_run_summary.json');
         fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
         console.log(`💾 Summary saved: ${summaryPath}`);
 
@@ -164,7 +182,7 @@ class ComprehensiveTestRunner {
      */
     getScreenshotFiles() {
         try {
-            const screenshotDir = './screenshots';
+            const screenshotDir = RunOutput.path('screenshots');
             if (fs.existsSync(screenshotDir)) {
                 return fs.readdirSync(screenshotDir)
                     .filter(file => file.endsWith('.png'))
@@ -181,10 +199,10 @@ class ComprehensiveTestRunner {
      */
     getTestResultFiles() {
         try {
-            const resultsDir = './test-results';
+            const resultsDir = RunOutput.path();
             if (fs.existsSync(resultsDir)) {
                 return fs.readdirSync(resultsDir)
-                    .filter(file => file.endsWith('.json') || file.endsWith('.html'))
+                    .filter(file => ['.json', '.html', '.xml', '.md', '.csv'].includes(path.extname(file)))
                     .map(file => path.join(resultsDir, file));
             }
         } catch (error) {
@@ -203,15 +221,15 @@ class ComprehensiveTestRunner {
         
         console.log(`🕐 Start Time: ${new Date(summary.testRun.startTime).toLocaleString()}`);
         console.log(`🕐 End Time: ${new Date(summary.testRun.endTime).toLocaleString()}`);
-        console.log(`⏱️  Duration: ${this.formatDuration(summary.testRun.duration)}`);
+        console.log(`⏱️  Duration: ${Duration.format(summary.testRun.duration)}`);
         console.log(`${summary.testRun.success ? '✅' : '❌'} Result: ${summary.testRun.success ? 'SUCCESS' : 'FAILED'}`);
         console.log(`🔢 Exit Code: ${summary.testRun.exitCode}`);
         
         console.log('\n📁 Generated Files:');
         console.log(`   📄 HTML Report: ${summary.files.htmlReport}`);
-        console.log(`   📊 JSON Summary: ./test-results/test_run_summary.json`);
-        console.log(`   📸 Screenshots: ${summary.files.screenshots.length} files in ./screenshots/`);
-        console.log(`   📋 Test Results: ${summary.files.testResults.length} files in ./test-results/`);
+        console.log(`   📊 JSON Summary: ${RunOutput.path('test_run_summary.json')}`);
+        console.log(`   📸 Screenshots: ${summary.files.screenshots.length} files in ${RunOutput.path('screenshots')}`);
+        console.log(`   📋 Test Results: ${summary.files.testResults.length} files in ${RunOutput.path()}`);
         
         console.log('\n🎯 Test Scenarios Covered:');
         console.log('   1. ✅ App Launch and Main Screen Verification');
@@ -231,22 +249,6 @@ class ComprehensiveTestRunner {
         console.log('='.repeat(60));
     }
 
-    /**
-     * Format duration in milliseconds
-     */
-    formatDuration(ms) {
-        if (!ms || ms < 0) return '0ms';
-        
-        const seconds = Math.floor(ms / 1000);
-        const minutes = Math.floor(seconds / 60);
-        
-        if (minutes > 0) {
-            return `${minutes}m ${seconds % 60}s`;
-        } else {
-            return `${seconds}s`;
-        }
-    }
-
     /**
      * Run the complete test suite
      */
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Test Runner
+ * Starts the fake Appium server, runs an entry point against it and shuts
+ * the server down again. No emulator, device or APK is required.
+ *
+ * Usage: node run-offline-test.js [script.js] [script args...]
+ *        (defaults to run-single-test.js)
+ *        FAKE_APPIUM_MAP=path/to/transitions.json selects another screen map
+ *
+ * The script runs with the "offline" device profile (unless DEVICE_PROFILE is
+ * set), so its screenshots and page sources are compared with the renders in
+ * test/baselines/offline and test/snapshots/offline, never with the goldens
+ * of a real device.
+ */
+
+const { spawn } = require('child_process');
+const FakeAppiumServer = require('./test/helpers/FakeAppiumServer');
+
+async function runOffline() {
+    const [script = 'run-single-test.js', ...scriptArgs] = process.argv.slice(2);
+    const options = { port: 0, verbose: !!process.env.FAKE_APPIUM_VERBOSE };
+    if (process.env.FAKE_APPIUM_MAP) {
+        options.transitions = process.env.FAKE_APPIUM_MAP;
+    }
+    const server = new FakeAppiumServer(options);
+    const port = await server.start();
+
+    console.log(`🧪 Running ${script} against the fake Appium server...`);
+
+    const exitCode = await new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [script, ...scriptArgs], {
+            stdio: 'inherit',
+            env: {
+                ...process.env,
+                DEVICE_PROFILE: process.env.DEVICE_PROFILE || 'offline',
+                APPIUM_HOST: 'localhost',
+                APPIUM_PORT: String(port),
+                APPIUM_PATH: '/'
+            }
+        });
+        child.on('close', resolve);
+        child.on('error', reject);
+    });
+
+    await server.stop();
+    console.log(`🏁 Offline run finished with exit code ${exitCode}`);
+    process.exit(exitCode);
+}
+
+runOffline().catch(error => {
+    console.error('❌ Offline run failed:', error.message);
+    process.exit(1);
+});
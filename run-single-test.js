@@ -4,59 +4,53 @@
  */
 
 const { remote } = require('webdriverio');
-const path = require('path');
-const fs = require('fs');
 const TestReportGenerator = require('./test/helpers/TestReportGenerator');
+const DeviceProfiles = require('./test/helpers/DeviceProfiles');
+const ScenarioRunner = require('./test/helpers/ScenarioRunner');
+const StepDependencies = require('./test/helpers/StepDependencies');
+const RetryPolicy = require('./test/helpers/RetryPolicy');
+const RunOutput = require('./test/helpers/RunOutput');
+const ReportWriters = require('./test/helpers/ReportWriters');
+const FailureDiagnostics = require('./test/helpers/FailureDiagnostics');
+const Duration = require('./test/helpers/Duration');
+
+// Keep running independent steps after a failure (--continue-on-failure or CONTINUE_ON_FAILURE=1)
+const CONTINUE_ON_FAILURE = StepDependencies.continueOnFailure();
+
+// Run-wide retry settings (--retries N, --retry-backoff MS or STEP_RETRIES, STEP_RETRY_BACKOFF); steps can override them
+const RETRY_DEFAULTS = RetryPolicy.defaults();
 
 async function runTest() {
     console.log('🚀 Starting single comprehensive test with HTML reporting...');
 
     // Initialize test results tracking
-    const testResults = {
-        suiteName: 'Production Data Collection App - Single Test Runner',
-        startTime: new Date().toISOString(),
-        endTime: null,
-        tests: [],
-        summary: {
-            total: 0,
-            passed: 0,
-            failed: 0,
-            successRate: 0
-        }
-    };
+    const testResults = ScenarioRunner.createResults('Production Data Collection App - Single Test Runner');
 
-    const capabilities = {
-        platformName: 'Android',
-        'appium:deviceName': 'Android Emulator',
-        'appium:platformVersion': '15',
-        'appium:app': path.join(process.cwd(), 'app-dev-release.apk'),
-        'appium:automationName': 'UiAutomator2',
-        'appium:newCommandTimeout': 240,
-        'appium:connectHardwareKeyboard': true,
-        'appium:noReset': false,
-        'appium:fullReset': false
-    };
-
-    const wdOpts = {
-        hostname: 'localhost',
-        port: 4723,
-        path: '/',
-        capabilities
-    };
+    // Resolve device/app profile (--device-profile, --app-profile or DEVICE_PROFILE, APP_PROFILE)
+    const profile = DeviceProfiles.resolve();
+    const wdOpts = DeviceProfiles.getRemoteOptions(profile);
+    console.log(`📱 Profile: ${profile.name} - ${DeviceProfiles.describe(profile)}`);
+    console.log(CONTINUE_ON_FAILURE ?
+        '▶️  Continue-on-failure: independent steps keep running after a failure' :
+        '⏹️  Stop-on-failure: the run stops at the first failed step (use --continue-on-failure to keep going)');
+    console.log(`🔁 Retries per step: ${RETRY_DEFAULTS.retries} (backoff ${RETRY_DEFAULTS.backoff}ms x${RETRY_DEFAULTS.factor})`);
 
     let driver;
 
-    // Ensure directories exist
-    ensureDirectories();
+    // Each run writes its report, results and screenshots to test-results/runs/<run id>/
+    RunOutput.current();
     
     try {
         console.log('📱 Connecting to Appium server...');
         driver = await remote(wdOpts);
         
         console.log('✅ Connected to device successfully');
+
+        // Recent driver commands go into the diagnostics bundle of a failed step
+        FailureDiagnostics.attach(driver);
         
-        // Import our page object
-        const ProductionDataPage = require('./test/pageobjects/ProductionDataPage');
+        // Import the scenario steps and their page objects
+        const ProductionDataScenarios = require('./test/scenarios/ProductionDataScenarios');
         
         // Set the driver globally for the page object
         global.browser = driver;
@@ -74,136 +68,16 @@ async function runTest() {
         
         console.log('🧪 Starting test execution...');
 
-        // Test 1: Open app and verify main screen
-        await runTestStep(testResults, 'App Launch and Main Screen Verification', async () => {
-            console.log('\n=== Step 1: Opening app and verifying main screen ===');
-            await ProductionDataPage.waitForPageLoad();
-            const mainTitle = await ProductionDataPage.mainTitle;
-            const isMainTitleDisplayed = await mainTitle.isDisplayed();
-            console.log(`Main title displayed: ${isMainTitleDisplayed ? '✅' : '❌'}`);
-
-            if (!isMainTitleDisplayed) {
-                throw new Error('Main title is not displayed');
-            }
-
-            return 'App launched successfully and main screen verified';
-        }, ['test_start']);
-
-        // Test 2: Click Specimen button
-        await runTestStep(testResults, 'Specimen Button Navigation Test', async () => {
-            console.log('\n=== Step 2: Testing Specimen button ===');
-            await ProductionDataPage.takeScreenshot('before_specimen_click');
-            await ProductionDataPage.clickSection('specimen');
-            await driver.pause(3000);
-            await ProductionDataPage.takeScreenshot('after_specimen_click');
-            await ProductionDataPage.navigateBack();
-            console.log('✅ Specimen button test completed');
-
-            return 'Specimen button clicked, screen changed, and successfully navigated back';
-        }, ['before_specimen_click', 'after_specimen_click']);
-        
-        // Test 3: Click Dome button (expansion)
-        await runTestStep(testResults, 'Dome Button Expansion Test', async () => {
-            console.log('\n=== Step 3: Testing Dome button expansion ===');
-
-            // Wait for page to fully load and scroll to make sure all elements are visible
-            await driver.pause(3000);
-
-            // Scroll down to ensure Dome section is visible
-            console.log('Scrolling to ensure Dome section is visible...');
-            try {
-                await driver.execute('mobile: scroll', {direction: 'down'});
-            } catch (error) {
-                console.log('Scroll command not available, trying alternative...');
-                // Alternative scroll method
-                const scrollView = await driver.$('//android.widget.ScrollView');
-                if (await scrollView.isDisplayed()) {
-                    await scrollView.touchAction([
-                        { action: 'press', x: 500, y: 1000 },
-                        { action: 'moveTo', x: 500, y: 500 },
-                        { action: 'release' }
-                    ]);
-                }
-            }
-
-            await ProductionDataPage.takeScreenshot('before_dome_click');
-            await ProductionDataPage.clickSection('dome');
-            await driver.pause(3000);
-            await ProductionDataPage.takeScreenshot('after_dome_expansion');
-
-            // Check if Harvesting and Media Moisture are now visible
-            let harvestingVisible = false;
-            let mediaMoistureVisible = false;
-
-            try {
-                const harvestingSection = await ProductionDataPage.harvestingSection;
-                const mediaMoistureSection = await ProductionDataPage.mediaMoistureSection;
-
-                harvestingVisible = await harvestingSection.isDisplayed();
-                mediaMoistureVisible = await mediaMoistureSection.isDisplayed();
-
-                console.log(`Harvesting visible after Dome expansion: ${harvestingVisible}`);
-                console.log(`Media Moisture visible after Dome expansion: ${mediaMoistureVisible}`);
-
-            } catch (error) {
-                console.log(`Note: Could not verify expanded items visibility: ${error.message}`);
-            }
-
-            console.log('✅ Dome button expansion test completed');
-
-            return `Dome expanded successfully. Harvesting visible: ${harvestingVisible}, Media Moisture visible: ${mediaMoistureVisible}`;
-        }, ['before_dome_click', 'after_dome_expansion']);
-        
-        // Test 4: Click Harvesting button (ensure Dome is expanded first)
-        await runTestStep(testResults, 'Harvesting Button Navigation Test', async () => {
-            console.log('\n=== Step 4: Testing Harvesting button ===');
-
-            // Ensure Dome is expanded to access Harvesting
-            console.log('Ensuring Dome is expanded to access Harvesting...');
-            await ProductionDataPage.ensureDomeExpanded();
-
-            await ProductionDataPage.takeScreenshot('before_harvesting_click');
-            await ProductionDataPage.clickSection('harvesting');
-            await driver.pause(3000);
-            await ProductionDataPage.takeScreenshot('after_harvesting_click');
-            await ProductionDataPage.navigateBack();
-            console.log('✅ Harvesting button test completed');
-
-            return 'Dome expanded, Harvesting button clicked, screen changed, and successfully navigated back';
-        }, ['before_harvesting_click', 'after_harvesting_click']);
-
-        // Test 5: Click Media Moisture button (ensure Dome is expanded first)
-        await runTestStep(testResults, 'Media Moisture Button Navigation Test', async () => {
-            console.log('\n=== Step 5: Testing Media Moisture button ===');
-
-            // Ensure Dome is expanded to access Media Moisture
-            console.log('Ensuring Dome is expanded to access Media Moisture...');
-            await ProductionDataPage.ensureDomeExpanded();
-
-            await ProductionDataPage.takeScreenshot('before_media_moisture_click');
-            await ProductionDataPage.clickSection('mediaMoisture');
-            await driver.pause(3000);
-            await ProductionDataPage.takeScreenshot('after_media_moisture_click');
-            await ProductionDataPage.navigateBack();
-            console.log('✅ Media Moisture button test completed');
-
-            return 'Dome expanded, Media Moisture button clicked, screen changed, and successfully navigated back';
-        }, ['before_media_moisture_click', 'after_media_moisture_click']);
-        
-        // Final test summary
-        await runTestStep(testResults, 'Test Summary and Verification', async () => {
-            await ProductionDataPage.takeScreenshot('comprehensive_test_completed');
-
-            // Verify we're still on the main screen
-            const mainTitle = await ProductionDataPage.mainTitle;
-            const isMainTitleDisplayed = await mainTitle.isDisplayed();
-
-            if (!isMainTitleDisplayed) {
-                throw new Error('Not on main screen after test completion');
-            }
+        // Steps are shared with the WDIO spec, see test/scenarios/ProductionDataScenarios.js
+        await ScenarioRunner.runSteps(testResults, ProductionDataScenarios.steps, {
+            retryDefaults: RETRY_DEFAULTS,
+            continueOnFailure: CONTINUE_ON_FAILURE
+        });
 
-            return 'All test scenarios completed successfully with proper navigation flow';
-        }, ['comprehensive_test_completed']);
+        if (testResults.summary.failed > 0 || testResults.summary.skipped > 0) {
+            console.log(`\n⚠️  Test execution finished with ${testResults.summary.failed} failed and ${testResults.summary.skipped} skipped step(s)`);
+            return;
+        }
 
         console.log('\n🎉 ALL TESTS COMPLETED SUCCESSFULLY!');
         console.log('=== COMPREHENSIVE TEST SUMMARY ===');
@@ -230,17 +104,15 @@ async function runTest() {
 
     } finally {
         // Finalize test results
-        testResults.endTime = new Date().toISOString();
-        testResults.summary.successRate = testResults.summary.total > 0 ?
-            (testResults.summary.passed / testResults.summary.total) * 100 : 0;
+        ScenarioRunner.finalize(testResults);
 
         // Generate HTML report
         try {
-            await TestReportGenerator.generateComprehensiveReport(testResults);
-            console.log('\n📄 HTML Report generated successfully!');
-            console.log('📊 Report location: ./test-results/comprehensive_test_report.html');
+            const reportPath = await TestReportGenerator.generateComprehensiveReport(testResults);
+            console.log('\n📄 Report generated successfully!');
+            console.log(`📊 Report location: ${reportPath}`);
         } catch (reportError) {
-            console.error('❌ Failed to generate HTML report:', reportError.message);
+            console.error('❌ Failed to generate report:', reportError.message);
         }
 
         if (driver) {
@@ -250,61 +122,12 @@ async function runTest() {
 
         // Print final summary
         printFinalSummary(testResults);
-    }
-}
-
-/**
- * Helper function to run individual test steps with error handling and result tracking
- */
-async function runTestStep(testResults, testName, testFunction, screenshots = []) {
-    const testStart = Date.now();
-    console.log(`\n🧪 Running: ${testName}`);
-
-    try {
-        const details = await testFunction();
 
-        // Record successful test
-        testResults.tests.push({
-            name: testName,
-            status: 'passed',
-            duration: Date.now() - testStart,
-            details: details || 'Test completed successfully',
-            screenshots: screenshots
-        });
-        testResults.summary.passed++;
-        console.log(`✅ ${testName}: PASSED`);
-
-    } catch (error) {
-        console.error(`❌ ${testName}: FAILED - ${error.message}`);
-
-        // Record failed test
-        testResults.tests.push({
-            name: testName,
-            status: 'failed',
-            duration: Date.now() - testStart,
-            error: error.message,
-            screenshots: screenshots
-        });
-        testResults.summary.failed++;
-        throw error; // Re-throw to stop execution
-    } finally {
-        testResults.summary.total++;
+        // Non-zero exit code so CI and run-offline-test.js can detect failures
+        process.exitCode = testResults.summary.failed > 0 ? 1 : 0;
     }
 }
 
-/**
- * Ensure required directories exist
- */
-function ensureDirectories() {
-    const dirs = ['screenshots', 'test-results'];
-    dirs.forEach(dir => {
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-            console.log(`📁 Created directory: ${dir}`);
-        }
-    });
-}
-
 /**
  * Print final test summary
  */
@@ -318,19 +141,24 @@ function printFinalSummary(testResults) {
 
     console.log(`🕐 Start Time: ${new Date(testResults.startTime).toLocaleString()}`);
     console.log(`🕐 End Time: ${new Date(testResults.endTime).toLocaleString()}`);
-    console.log(`⏱️  Duration: ${formatDuration(duration)}`);
-    console.log(`📊 Tests: ${testResults.summary.passed}/${testResults.summary.total} passed`);
+    console.log(`⏱️  Duration: ${Duration.format(duration)}`);
+    console.log(`📊 Tests: ${testResults.summary.passed}/${testResults.summary.total} passed` +
+        (testResults.summary.skipped ? `, ${testResults.summary.skipped} skipped` : '') +
+        (testResults.summary.flaky ? `, ${testResults.summary.flaky} flaky` : ''));
     console.log(`🎯 Success Rate: ${testResults.summary.successRate.toFixed(1)}%`);
 
     console.log('\n📁 Generated Files:');
-    console.log('   📄 HTML Report: ./test-results/comprehensive_test_report.html');
-    console.log('   📊 JSON Results: ./test-results/test_results.json');
-    console.log('   📸 Screenshots: ./screenshots/');
+    ReportWriters.options().formats.map(format => ReportWriters.get(format)).forEach(writer => {
+        console.log(`   ${writer.icon} ${writer.label}: ${RunOutput.path(writer.file)}`);
+    });
+    console.log(`   📸 Screenshots: ${RunOutput.path('screenshots')}`);
+    console.log(`   🗂️  All runs: ${RunOutput.options().root}/index.html (latest: ${RunOutput.options().root}/latest)`);
 
     console.log('\n🎯 Test Scenarios Covered:');
     testResults.tests.forEach((test, index) => {
-        const status = test.status === 'passed' ? '✅' : '❌';
-        console.log(`   ${index + 1}. ${status} ${test.name}`);
+        const status = { passed: '✅', skipped: '⏭️ ' }[test.status] || '❌';
+        const note = test.reason || (test.flaky ? `flaky, passed on attempt ${test.attempts.length}` : '');
+        console.log(`   ${index + 1}. ${status} ${test.name}${note ? ` (${note})` : ''}`);
     });
 
     console.log('\n' + '='.repeat(60));
@@ -344,21 +172,5 @@ function printFinalSummary(testResults) {
     console.log('='.repeat(60));
 }
 
-/**
- * Format duration in milliseconds
- */
-function formatDuration(ms) {
-    if (!ms || ms < 0) return '0ms';
-
-    const seconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-
-    if (minutes > 0) {
-        return `${minutes}m ${seconds % 60}s`;
-    } else {
-        return `${seconds}s`;
-    }
-}
-
 // Run the test
 runTest().catch(console.error);
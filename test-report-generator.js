@@ -5,7 +5,10 @@
  * Tests the HTML report generation functionality
  */
 
+const fs = require('fs');
 const TestReportGenerator = require('./test/helpers/TestReportGenerator');
+const ReportWriters = require('./test/helpers/ReportWriters');
+const RunOutput = require('./test/helpers/RunOutput');
 
 // Mock test results for demonstration
 const mockTestResults = {
@@ -77,22 +80,17 @@ async function testReportGeneration() {
         console.log(`📊 Test Summary: ${mockTestResults.summary.passed}/${mockTestResults.summary.total} tests passed`);
         console.log(`🎯 Success Rate: ${mockTestResults.summary.successRate}%`);
         
-        // Check if files were created
-        const fs = require('fs');
-        const path = require('path');
-        
-        const htmlPath = path.join('./test-results', 'comprehensive_test_report.html');
-        const jsonPath = path.join('./test-results', 'test_results.json');
-        
-        if (fs.existsSync(htmlPath)) {
-            const stats = fs.statSync(htmlPath);
-            console.log(`📄 HTML Report: ${htmlPath} (${Math.round(stats.size / 1024)}KB)`);
-        }
-        
-        if (fs.existsSync(jsonPath)) {
-            const stats = fs.statSync(jsonPath);
-            console.log(`📊 JSON Results: ${jsonPath} (${Math.round(stats.size / 1024)}KB)`);
-        }
+        // Check the files of this run, test-results/runs/<run id>/
+        ['html', 'json'].forEach(format => {
+            const writer = ReportWriters.get(format);
+            const filePath = RunOutput.path(writer.file);
+            if (fs.existsSync(filePath)) {
+                const stats = fs.statSync(filePath);
+                console.log(`${writer.icon} ${writer.label}: ${filePath} (${Math.round(stats.size / 1024)}KB)`);
+            } else {
+                console.log(`⚠️  No ${writer.label} in the current run: ${filePath} was not written`);
+            }
+        });
         
         console.log('\n🎉 Report generation test completed successfully!');
         console.log('💡 You can now open the HTML report in your browser to see the results.');
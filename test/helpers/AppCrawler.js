@@ -0,0 +1,348 @@
+/**
+ * App Crawler
+ * Explores the app by tapping every clickable element, one screen at a time.
+ * Screens are told apart by their hierarchy fingerprint; each new one is saved
+ * with a screenshot and its page source and explored in turn (depth first).
+ * The result is a screen graph, written as JSON plus a browsable HTML map.
+ *
+ * A tap that leaves the tapped element on screen (an accordion, a validation
+ * message) is an "in-place" change and is undone by tapping again; anything
+ * else is a navigation and is undone with back. When that does not restore
+ * the screen, the crawler replays the taps that led to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const UiHierarchy = require('./UiHierarchy');
+const ScreenFingerprint = require('./ScreenFingerprint');
+const HtmlTemplate = require('./HtmlTemplate');
+
+const { html } = HtmlTemplate;
+
+// Never tapped unless listed explicitly: they end the session or destroy data
+const DEFAULT_EXCLUDE = ['Log out', 'Logout', 'Sign out', 'Delete'];
+
+class AppCrawler {
+
+    /**
+     * @param {Object} options
+     * @param {string} options.outputDir - Where graph.json, index.html and screens/ are written
+     * @param {number} options.maxDepth - Taps away from the launch screen to explore
+     * @param {number} options.maxScreens - Stop discovering new screens after this many
+     * @param {string[]} options.exclude - Labels (text or content-desc) never tapped
+     * @param {number} options.changeTimeout - How long to wait for a tap to change the screen
+     */
+    constructor({ outputDir = './test-results/crawl', maxDepth = 3, maxScreens = 25, exclude = DEFAULT_EXCLUDE, changeTimeout = 3000 } = {}) {
+        this.outputDir = outputDir;
+        this.maxDepth = maxDepth;
+        this.maxScreens = maxScreens;
+        this.exclude = exclude;
+        this.changeTimeout = changeTimeout;
+        this.nodes = new Map();
+        this.edges = [];
+        this.root = null;
+    }
+
+    /**
+     * Crawl from the screen currently shown and write the graph. Resolves with the graph.
+     */
+    async crawl() {
+        fs.mkdirSync(path.join(this.outputDir, 'screens'), { recursive: true });
+        const startedAt = new Date().toISOString();
+
+        const { fingerprint, document } = await this.capture();
+        const root = await this.addNode(fingerprint, document, []);
+        this.root = root;
+        console.log(`🕷️  Crawling from ${ScreenFingerprint.describe(fingerprint)} (max depth ${this.maxDepth}, max ${this.maxScreens} screens)`);
+
+        await this.explore(root, []);
+
+        const graph = {
+            generatedAt: new Date().toISOString(),
+            startedAt,
+            root: root.id,
+            nodes: Array.from(this.nodes.values()),
+            edges: this.edges,
+            stats: {
+                screens: this.nodes.size,
+                transitions: this.edges.filter(edge => edge.to).length,
+                taps: this.edges.length
+            }
+        };
+
+        fs.writeFileSync(path.join(this.outputDir, 'graph.json'), JSON.stringify(graph, null, 2));
+        fs.writeFileSync(path.join(this.outputDir, 'index.html'), String(AppCrawler.generateHtml(graph)));
+        console.log(`🕸️  Crawl finished: ${graph.stats.screens} screens, ${graph.stats.transitions} transitions, ${graph.stats.taps} taps`);
+        console.log(`📄 Screen map: ${path.join(this.outputDir, 'index.html')}`);
+        return graph;
+    }
+
+    /**
+     * Tap every action of a node; route is the list of { node, action } taps that led to it
+     */
+    async explore(node, route) {
+        for (let index = 0; index < node.actions.length; index++) {
+            const action = node.actions[index];
+
+            if (!await this.restore(node, route)) {
+                node.unexplored = node.actions.slice(index).map(remaining => remaining.label);
+                console.log(`⚠️  Lost ${node.title}; ${node.unexplored.length} action(s) left unexplored`);
+                return;
+            }
+
+            const edge = { from: node.id, action: action.label, xpath: action.xpath, to: null, type: 'none' };
+            this.edges.push(edge);
+
+            let result;
+            try {
+                result = await this.tap(action);
+            } catch (error) {
+                edge.type = 'error';
+                edge.error = error.message;
+                console.log(`❌ ${node.title} → "${action.label}": ${error.message}`);
+                continue;
+            }
+            if (!result) {
+                console.log(`   ${node.title} → "${action.label}": no change`);
+                continue;
+            }
+
+            const { fingerprint, document } = result;
+            edge.to = fingerprint.hash;
+            const toAncestor = fingerprint.hash === this.root.id || route.some(step => step.node === fingerprint.hash);
+            if (UiHierarchy.select(document, action.xpath).length > 0) {
+                edge.type = 'in-place';
+            } else {
+                edge.type = toAncestor ? 'back' : 'navigate';
+            }
+
+            const known = this.nodes.get(fingerprint.hash);
+            console.log(`🔀 ${node.title} → "${action.label}" → ${known ? known.title : 'new screen'} (${edge.type})`);
+            if (!known && route.length + 1 <= this.maxDepth && this.nodes.size < this.maxScreens) {
+                const childRoute = [...route, { node: node.id, action }];
+                const child = await this.addNode(fingerprint, document, childRoute);
+                await this.explore(child, childRoute);
+            }
+
+            // Undo the tap: tap an in-place toggle again, go back from a navigation
+            if (edge.type === 'in-place') {
+                await this.tap(action).catch(() => null);
+            } else if (edge.type === 'navigate') {
+                await this.back();
+            }
+        }
+    }
+
+    /**
+     * Record a screen: screenshot, page source and the clickable elements to try
+     */
+    async addNode(fingerprint, document, route) {
+        const id = fingerprint.hash;
+        const screenshot = `screens/${id}.png`;
+        const source = `screens/${id}.xml`;
+
+        fs.writeFileSync(path.join(this.outputDir, source), UiHierarchy.serialize(document));
+        try {
+            await browser.saveScreenshot(path.join(this.outputDir, screenshot));
+        } catch (error) {
+            console.log(`Failed to take screenshot of ${id}: ${error.message}`);
+        }
+
+        const actions = this.actionsOf(document);
+        const actionLabels = actions.map(action => action.label);
+        const node = {
+            id,
+            // Named after its first label that is not a button, e.g. the header title rather than "Go back"
+            title: fingerprint.landmarks.find(label => !actionLabels.includes(label)) || fingerprint.landmarks[0] || id,
+            landmarks: fingerprint.landmarks,
+            activity: await browser.getCurrentActivity().catch(() => null),
+            depth: route.length,
+            path: route.map(step => step.action.label),
+            elementCount: fingerprint.elementCount,
+            screenshot,
+            source,
+            actions
+        };
+        this.nodes.set(id, node);
+        console.log(`🆕 Screen ${this.nodes.size}: ${ScreenFingerprint.describe(fingerprint)} at depth ${node.depth}, ${node.actions.length} clickable element(s)`);
+        return node;
+    }
+
+    /**
+     * Enabled, clickable elements of a hierarchy with a label and an XPath that finds them
+     * again. Text inputs are left alone: tapping them only focuses the field; disabled
+     * elements (a Submit button before the form is filled in) would ignore the tap.
+     */
+    actionsOf(document) {
+        return UiHierarchy.elements(document)
+            .filter(element => element.getAttribute('clickable') === 'true' && element.getAttribute('enabled') === 'true')
+            .filter(element => !/EditText$/.test(element.getAttribute('class') || ''))
+            .map(element => ({ label: this.labelOf(element), xpath: this.xpathOf(document, element) }))
+            .filter(action => !this.exclude.some(label => action.label.includes(label)));
+    }
+
+    labelOf(element) {
+        const ownLabel = ScreenFingerprint.cleanLabel(element.getAttribute('content-desc')) || ScreenFingerprint.cleanLabel(element.getAttribute('text'));
+        if (ownLabel) {
+            return ownLabel;
+        }
+        // Unlabelled containers are named after the first text inside them; icon buttons after their id
+        const child = UiHierarchy.select(element, './/*[@text!=""]').find(node => ScreenFingerprint.cleanLabel(node.getAttribute('text')));
+        return child ? ScreenFingerprint.cleanLabel(child.getAttribute('text')) : (element.getAttribute('resource-id') || UiHierarchy.describe(element));
+    }
+
+    /**
+     * XPath matching the element by class and its identifying attributes, indexed when several match
+     */
+    xpathOf(document, element) {
+        const conditions = ['resource-id', 'content-desc', 'text']
+            .filter(name => element.getAttribute(name) && !element.getAttribute(name).includes('"'))
+            .map(name => `@${name}="${element.getAttribute(name)}"`);
+        const base = `//${element.getAttribute('class') || element.nodeName}${conditions.length ? `[${conditions.join(' and ')}]` : ''}`;
+        const matches = UiHierarchy.select(document, base);
+        return matches.length > 1 ? `(${base})[${matches.indexOf(element) + 1}]` : base;
+    }
+
+    /**
+     * Page source and fingerprint of the current screen
+     */
+    async capture() {
+        const source = await browser.getPageSource();
+        return { fingerprint: ScreenFingerprint.fromSource(source), document: UiHierarchy.parse(source) };
+    }
+
+    /**
+     * Tap an action; resolves with the new screen once it settled, or null if nothing changed
+     */
+    async tap(action) {
+        const before = await ScreenFingerprint.capture();
+        const element = await $(action.xpath);
+        if (!await element.isExisting()) {
+            throw new Error(`"${action.label}" is no longer on screen`);
+        }
+        await element.click();
+        try {
+            await ScreenFingerprint.waitForScreenChange(before, { timeout: this.changeTimeout });
+        } catch (error) {
+            return null;
+        }
+        await ScreenFingerprint.waitForScreenStable();
+        return await this.capture();
+    }
+
+    async back() {
+        const before = await ScreenFingerprint.capture();
+        await browser.back();
+        try {
+            await ScreenFingerprint.waitForScreenChange(before, { timeout: this.changeTimeout });
+        } catch (error) {
+            // Back did nothing; restore() decides what to do next
+        }
+    }
+
+    /**
+     * Bring the app back to a node: press back until the node or a screen on its route
+     * shows, then replay the remaining taps. Never presses back on the launch screen.
+     */
+    async restore(node, route) {
+        for (let presses = 0; presses <= node.depth + 1; presses++) {
+            const { fingerprint } = await this.capture();
+            if (fingerprint.hash === node.id) {
+                return true;
+            }
+
+            const onRoute = route.findIndex(step => step.node === fingerprint.hash);
+            if (onRoute !== -1) {
+                return await this.replay(node, route.slice(onRoute));
+            }
+
+            const onLaunchScreen = this.root.landmarks.every(label => fingerprint.landmarks.includes(label));
+            if (onLaunchScreen) {
+                return false;
+            }
+            await this.back();
+        }
+        return false;
+    }
+
+    async replay(node, steps) {
+        console.log(`↩️  Replaying ${steps.map(step => `"${step.action.label}"`).join(' → ')} to reach ${node.title}`);
+        for (const step of steps) {
+            try {
+                await this.tap(step.action);
+            } catch (error) {
+                return false;
+            }
+        }
+        const { fingerprint } = await this.capture();
+        return fingerprint.hash === node.id;
+    }
+
+    /**
+     * Browsable map: a card per screen with its screenshot, landmarks, page source and outgoing taps
+     */
+    static generateHtml(graph) {
+        const titles = {};
+        graph.nodes.forEach(node => {
+            titles[node.id] = node.title;
+        });
+
+        const cards = graph.nodes.map(node => {
+            const edges = graph.edges.filter(edge => edge.from === node.id);
+            const rows = edges.map(edge => html`
+                    <tr class="edge-${edge.type}">
+                        <td>${edge.action}</td>
+                        <td>${edge.type}</td>
+                        <td>${edge.to ? html`<a href="#screen-${edge.to}">${titles[edge.to] || edge.to}</a>` : edge.error || '—'}</td>
+                    </tr>`);
+
+            return html`
+        <section class="screen" id="screen-${node.id}">
+            <a href="${node.screenshot}" target="_blank"><img src="${node.screenshot}" alt="${node.title}"></a>
+            <div class="screen-info">
+                <h2>${node.title} <span class="hash">#${node.id}</span></h2>
+                <p><strong>Depth:</strong> ${node.depth}${node.path.length ? ` (${node.path.join(' → ')})` : ' (launch screen)'}</p>
+                <p><strong>Activity:</strong> ${node.activity || 'unknown'} · <strong>Elements:</strong> ${node.elementCount} · <a href="${node.source}" target="_blank">Page source</a></p>
+                <p><strong>Landmarks:</strong> ${node.landmarks.join(', ')}</p>
+                ${node.unexplored ? html`<p class="unexplored">Not explored: ${node.unexplored.join(', ')}</p>` : ''}
+                <table>
+                    <tr><th>Tap</th><th>Result</th><th>Leads to</th></tr>${rows}
+                </table>
+            </div>
+        </section>`;
+        });
+
+        return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>App Screen Map</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+        header { margin-bottom: 20px; }
+        nav a { display: inline-block; margin: 0 8px 8px 0; padding: 4px 10px; background: #fff; border-radius: 12px; text-decoration: none; color: #667eea; }
+        .screen { display: flex; gap: 20px; background: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .screen img { width: 180px; border: 1px solid #ddd; border-radius: 4px; }
+        .screen-info { flex: 1; }
+        .hash { font-size: 0.6em; color: #999; font-family: monospace; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+        .edge-navigate td:nth-child(2) { color: #27ae60; }
+        .edge-in-place td:nth-child(2) { color: #2980b9; }
+        .edge-error td:nth-child(2), .unexplored { color: #e74c3c; }
+        .edge-none { color: #999; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>🕸️ App Screen Map</h1>
+        <p>${graph.stats.screens} screens · ${graph.stats.transitions} transitions · ${graph.stats.taps} taps · crawled ${new Date(graph.generatedAt).toLocaleString()}</p>
+        <nav>${graph.nodes.map(node => html`<a href="#screen-${node.id}">${node.title}</a>`)}</nav>
+    </header>${cards}
+</body>
+</html>`;
+    }
+}
+
+module.exports = AppCrawler;
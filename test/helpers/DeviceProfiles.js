@@ -0,0 +1,183 @@
+/**
+ * Device Profiles
+ * Single source of truth for the Appium capabilities and server connection
+ * used by wdio.conf.js, run-single-test.js and discover-elements.js.
+ *
+ * A profile is the combination of a device profile and an app profile:
+ *   --device-profile=<name>  or  DEVICE_PROFILE=<name>   (default: emulator)
+ *   --app-profile=<name>     or  APP_PROFILE=<name>      (default: dev)
+ * Command line flags take precedence over environment variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Capabilities shared by every profile
+const BASE_CAPABILITIES = {
+    platformName: 'Android',
+    'appium:automationName': 'UiAutomator2',
+    'appium:newCommandTimeout': 240,
+    'appium:connectHardwareKeyboard': true,
+    'appium:noReset': false,
+    'appium:fullReset': false
+};
+
+const DEVICE_PROFILES = {
+    emulator: {
+        description: 'Local Android emulator',
+        capabilities: (env) => ({
+            'appium:deviceName': env.DEVICE_NAME || 'Android Emulator',
+            'appium:platformVersion': env.PLATFORM_VERSION || '15'
+        })
+    },
+    offline: {
+        // Selected by run-offline-test.js; its baselines and snapshots are renders of the fake server
+        description: 'Fake Appium server replaying the captured emulator screens',
+        capabilities: (env) => ({
+            'appium:deviceName': env.DEVICE_NAME || 'Android Emulator',
+            'appium:platformVersion': env.PLATFORM_VERSION || '15'
+        })
+    },
+    device: {
+        description: 'Physical Android device selected by UDID (set DEVICE_UDID)',
+        requiredEnv: ['DEVICE_UDID'],
+        capabilities: (env) => ({
+            'appium:deviceName': env.DEVICE_NAME || 'Android Device',
+            'appium:platformVersion': env.PLATFORM_VERSION || '15',
+            'appium:udid': env.DEVICE_UDID
+        })
+    }
+};
+
+const APP_PROFILES = {
+    dev: {
+        description: 'Development build',
+        apk: 'app-dev-release.apk'
+    },
+    staging: {
+        description: 'Staging build',
+        apk: 'app-staging-release.apk'
+    }
+};
+
+const DEFAULT_CONNECTION = {
+    hostname: 'localhost',
+    port: 4723,
+    path: '/'
+};
+
+class DeviceProfiles {
+
+    static get deviceProfiles() {
+        return DEVICE_PROFILES;
+    }
+
+    static get appProfiles() {
+        return APP_PROFILES;
+    }
+
+    /**
+     * Read a --name=value or --name value flag from the command line
+     */
+    static getFlag(argv, name) {
+        const flag = `--${name}`;
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i].startsWith(`${flag}=`)) {
+                return argv[i].slice(flag.length + 1);
+            }
+            if (argv[i] === flag && argv[i + 1] && !argv[i + 1].startsWith('--')) {
+                return argv[i + 1];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Resolve and validate the active profile from CLI flags and environment variables
+     */
+    static resolve({ argv = process.argv, env = process.env } = {}) {
+        const deviceName = this.getFlag(argv, 'device-profile') || env.DEVICE_PROFILE || 'emulator';
+        const appName = this.getFlag(argv, 'app-profile') || env.APP_PROFILE || 'dev';
+
+        const device = DEVICE_PROFILES[deviceName];
+        if (!device) {
+            throw new Error(`Unknown device profile "${deviceName}". Available: ${Object.keys(DEVICE_PROFILES).join(', ')}`);
+        }
+
+        const app = APP_PROFILES[appName];
+        if (!app) {
+            throw new Error(`Unknown app profile "${appName}". Available: ${Object.keys(APP_PROFILES).join(', ')}`);
+        }
+
+        const missingEnv = (device.requiredEnv || []).filter(name => !env[name]);
+        if (missingEnv.length > 0) {
+            throw new Error(`Device profile "${deviceName}" requires environment variable(s): ${missingEnv.join(', ')}`);
+        }
+
+        const appPath = env.APK_PATH ?
+            path.resolve(env.APK_PATH) : path.join(process.cwd(), app.apk);
+
+        const profile = {
+            name: `${deviceName}/${appName}`,
+            device: { name: deviceName, description: device.description },
+            app: { name: appName, description: app.description, path: appPath },
+            capabilities: {
+                ...BASE_CAPABILITIES,
+                ...device.capabilities(env),
+                'appium:app': appPath
+            },
+            connection: {
+                hostname: env.APPIUM_HOST || DEFAULT_CONNECTION.hostname,
+                port: env.APPIUM_PORT ? Number(env.APPIUM_PORT) : DEFAULT_CONNECTION.port,
+                path: env.APPIUM_PATH || DEFAULT_CONNECTION.path
+            }
+        };
+
+        this.validate(profile);
+        return profile;
+    }
+
+    /**
+     * Validate a resolved profile, throwing on the first problem found
+     */
+    static validate(profile) {
+        const requiredCapabilities = ['platformName', 'appium:automationName', 'appium:deviceName', 'appium:app'];
+        requiredCapabilities.forEach(name => {
+            if (!profile.capabilities[name]) {
+                throw new Error(`Profile "${profile.name}" is missing capability ${name}`);
+            }
+        });
+
+        const { port } = profile.connection;
+        if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+            throw new Error(`Profile "${profile.name}" has an invalid Appium port: ${port}`);
+        }
+    }
+
+    /**
+     * Check that the APK referenced by the profile exists on disk
+     */
+    static appExists(profile) {
+        return fs.existsSync(profile.app.path);
+    }
+
+    /**
+     * Options for webdriverio's remote() built from the active profile
+     */
+    static getRemoteOptions(profile = this.resolve()) {
+        return {
+            ...profile.connection,
+            capabilities: profile.capabilities
+        };
+    }
+
+    /**
+     * Human readable one-line description of the profile
+     */
+    static describe(profile) {
+        const udid = profile.capabilities['appium:udid'] ? ` (${profile.capabilities['appium:udid']})` : '';
+        return `${profile.device.description}${udid} - ${profile.app.description} [${path.basename(profile.app.path)}]`;
+    }
+}
+
+module.exports = DeviceProfiles;
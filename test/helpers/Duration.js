@@ -0,0 +1,27 @@
+/**
+ * Duration
+ * The one human readable form of a duration in milliseconds, used by the
+ * console output, the report formats, the run index and the trends page:
+ * 850ms, 12.4s, 3m 5s, 1h 2m 3s.
+ */
+
+class Duration {
+
+    static format(ms) {
+        if (!ms || ms < 0) {
+            return '0ms';
+        }
+        if (ms < 1000) {
+            return `${Math.round(ms)}ms`;
+        }
+        if (ms < 60000) {
+            return `${(ms / 1000).toFixed(1)}s`;
+        }
+        const seconds = Math.round(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m ${seconds % 60}s` : `${minutes}m ${seconds % 60}s`;
+    }
+}
+
+module.exports = Duration;
@@ -0,0 +1,260 @@
+/**
+ * Failure Diagnostics
+ * Captures what is needed to debug a failed step, so the report offers more
+ * than error.message: a screenshot, the full page source, the current
+ * activity and package, the last driver commands and the tail of the device
+ * log. Each failed step gets a bundle directory, test-results/runs/<run id>/
+ * diagnostics/<step>/, with diagnostics.json (error, attempts, app state and
+ * the files written) and an index.html linked from the step's report card.
+ * Every part is captured on its own, so a driver that cannot answer one
+ * request still yields the rest, and never replaces the step's error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RunOutput = require('./RunOutput');
+const HtmlTemplate = require('./HtmlTemplate');
+
+const { html } = HtmlTemplate;
+
+const DEFAULT_COMMANDS = 20;
+const DEFAULT_LOG_LINES = 200;
+
+// Longest string kept of a command's arguments or result
+const MAX_VALUE_LENGTH = 200;
+
+// Driver commands of the run, newest last, bounded by the largest limit in use
+const commands = [];
+
+// Drivers whose commands are already recorded
+const attached = new WeakSet();
+
+class FailureDiagnostics {
+
+    /**
+     * Run-wide settings: --no-diagnostics / FAILURE_DIAGNOSTICS=0 turns the capture off,
+     * --diagnostics-commands N / DIAGNOSTICS_COMMANDS (default 20) and --diagnostics-log-lines N /
+     * DIAGNOSTICS_LOG_LINES (default 200) set how much history a bundle keeps
+     */
+    static options({ argv = process.argv, env = process.env } = {}) {
+        const flag = name => {
+            const index = argv.indexOf(name);
+            return index !== -1 ? argv[index + 1] : undefined;
+        };
+        const isUnset = value => ['0', 'false'].includes(String(value).toLowerCase());
+        const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+
+        return {
+            enabled: !argv.includes('--no-diagnostics') && !isUnset(env.FAILURE_DIAGNOSTICS),
+            commands: number(flag('--diagnostics-commands') ?? env.DIAGNOSTICS_COMMANDS, DEFAULT_COMMANDS),
+            logLines: number(flag('--diagnostics-log-lines') ?? env.DIAGNOSTICS_LOG_LINES, DEFAULT_LOG_LINES)
+        };
+    }
+
+    /**
+     * Record the commands a driver sends (WebdriverIO "command" and "result" events).
+     * Safe to call more than once for the same driver.
+     */
+    static attach(driver) {
+        if (!driver || typeof driver.on !== 'function' || attached.has(driver)) {
+            return;
+        }
+        attached.add(driver);
+        const limit = this.options().commands;
+
+        driver.on('command', ({ command, method, endpoint, body }) => {
+            commands.push({ command, method, endpoint, args: summarize(body), time: new Date().toISOString(), started: Date.now() });
+            if (commands.length > limit) {
+                commands.shift();
+            }
+        });
+        driver.on('result', ({ command, endpoint, result }) => {
+            const entry = commands.slice().reverse().find(candidate =>
+                candidate.command === command && candidate.endpoint === endpoint && candidate.status === undefined);
+            if (!entry) {
+                return;
+            }
+            entry.duration = Date.now() - entry.started;
+            const error = result && result.error;
+            if (error) {
+                entry.status = 'failed';
+                entry.error = summarize(error.message || error);
+            } else {
+                entry.status = 'passed';
+                entry.result = summarize(result && result.value);
+            }
+        });
+    }
+
+    /**
+     * The last recorded driver commands, oldest first
+     */
+    static recentCommands(count = this.options().commands) {
+        return commands.slice(-count).map(({ started, ...entry }) => ({ ...entry }));
+    }
+
+    /**
+     * Write the diagnostics bundle of a failed step. Resolves with the bundle summary
+     * stored in the step result, or null when diagnostics are off or there is no driver.
+     */
+    static async capture(stepName, error, { driver = global.browser, options = this.options() } = {}) {
+        if (!options.enabled || !driver) {
+            return null;
+        }
+
+        // Snapshot first: the capture below sends commands of its own
+        const recent = this.recentCommands(options.commands);
+        const dir = uniqueDir(RunOutput.path('diagnostics', slug(stepName)));
+        fs.mkdirSync(dir, { recursive: true });
+        console.log(`🧰 Capturing failure diagnostics for ${stepName}...`);
+
+        const files = {};
+        const problems = {};
+        const attempt = async (name, action) => {
+            try {
+                return await action();
+            } catch (captureError) {
+                problems[name] = captureError.message;
+                return null;
+            }
+        };
+        const write = (name, file, content) => {
+            fs.writeFileSync(path.join(dir, file), content);
+            files[name] = path.join(dir, file);
+        };
+
+        await attempt('screenshot', async () => {
+            await driver.saveScreenshot(path.join(dir, 'screenshot.png'));
+            files.screenshot = path.join(dir, 'screenshot.png');
+        });
+        const source = await attempt('pageSource', () => driver.getPageSource());
+        if (source) {
+            write('pageSource', 'page_source.xml', source);
+        }
+        const app = {
+            activity: await attempt('activity', () => driver.getCurrentActivity()),
+            package: await attempt('package', () => driver.getCurrentPackage())
+        };
+        write('commands', 'commands.json', JSON.stringify(recent, null, 2));
+        const logs = await attempt('deviceLog', () => driver.getLogs('logcat'));
+        const logLines = Array.isArray(logs) ? logs.slice(-options.logLines).map(formatLogEntry) : [];
+        if (Array.isArray(logs)) {
+            write('deviceLog', 'device.log', logLines.join('\n') + '\n');
+        }
+
+        const bundle = {
+            step: stepName,
+            time: new Date().toISOString(),
+            error: error.message,
+            stack: error.stack || null,
+            attempts: error.attempts || [],
+            app,
+            commands: recent.length,
+            files,
+            problems
+        };
+        write('manifest', 'diagnostics.json', JSON.stringify(bundle, null, 2));
+        write('index', 'index.html', String(this.generateHtml(bundle, recent, source, logLines)));
+
+        const missing = Object.keys(problems);
+        console.log(`🧰 Diagnostics saved: ${dir}${missing.length > 0 ? ` (not captured: ${missing.join(', ')})` : ''}`);
+        return { dir, app, files, problems };
+    }
+
+    /**
+     * Standalone page of a bundle: error, app state, screenshot, commands, device log and page source
+     */
+    static generateHtml(bundle, recent, source, logLines) {
+        const file = name => (bundle.files[name] ? path.basename(bundle.files[name]) : null);
+
+        return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Diagnostics - ${bundle.step}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+        .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 10px; box-shadow: 0 0 20px rgba(0,0,0,0.1); padding: 30px; }
+        h1 { margin-top: 0; }
+        h2 { border-bottom: 2px solid #eee; padding-bottom: 6px; margin-top: 30px; }
+        .error { background: #f8d7da; color: #721c24; padding: 12px; border-radius: 5px; white-space: pre-wrap; font-family: monospace; }
+        .missing { color: #856404; background: #fff3cd; padding: 8px 12px; border-radius: 5px; }
+        .layout { display: flex; gap: 30px; align-items: flex-start; flex-wrap: wrap; }
+        .layout img { max-width: 320px; border: 1px solid #ddd; border-radius: 5px; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        td code { word-break: break-all; }
+        .command-failed td { background: #fdf0f1; }
+        pre { background: #f8f9fa; padding: 12px; border-radius: 5px; overflow: auto; max-height: 400px; font-size: 0.85em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🧰 ${bundle.step}</h1>
+        <p>Failed at ${bundle.time}${bundle.attempts.length > 1 ? ` after ${bundle.attempts.length} attempts` : ''}</p>
+        <div class="error">${bundle.error}</div>
+        ${Object.keys(bundle.problems).length > 0 ? html`
+        <p class="missing">Not captured: ${Object.entries(bundle.problems).map(([name, message]) => `${name} (${message})`).join(', ')}</p>` : ''}
+
+        <h2>App State</h2>
+        <div class="layout">
+            ${file('screenshot') ? html`<a href="${file('screenshot')}"><img src="${file('screenshot')}" alt="Screen at failure"></a>` : ''}
+            <table>
+                <tr><th>Package</th><td>${bundle.app.package || '-'}</td></tr>
+                <tr><th>Activity</th><td>${bundle.app.activity || '-'}</td></tr>
+                <tr><th>Files</th><td>${Object.keys(bundle.files).filter(name => name !== 'index').map(name => html`<a href="${file(name)}">${file(name)}</a> `)}</td></tr>
+            </table>
+        </div>
+
+        <h2>Last ${recent.length} Driver Commands</h2>
+        ${recent.length > 0 ? html`
+        <table>
+            <tr><th>Time</th><th>Command</th><th>Arguments</th><th>Result</th><th>Duration</th></tr>${recent.map(entry => html`
+            <tr class="command-${entry.status || 'pending'}"><td>${entry.time.slice(11, 23)}</td><td>${entry.command}</td><td><code>${entry.args || ''}</code></td><td><code>${entry.status === 'failed' ? `❌ ${entry.error}` : entry.result || ''}</code></td><td>${entry.duration !== undefined ? `${entry.duration}ms` : ''}</td></tr>`)}
+        </table>` : html`<p>No driver commands were recorded.</p>`}
+
+        <h2>Device Log (last ${logLines.length} lines)</h2>
+        <pre>${logLines.length > 0 ? logLines.join('\n') : 'No device log available.'}</pre>
+
+        <h2>Page Source</h2>
+        <pre>${source || 'Page source not available.'}</pre>
+    </div>
+</body>
+</html>
+`;
+    }
+}
+
+/**
+ * Short one-line form of a command's arguments or result (null when empty)
+ */
+function summarize(value) {
+    if (value === undefined || value === null || (typeof value === 'object' && Object.keys(value).length === 0)) {
+        return null;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}… (${text.length} chars)` : text;
+}
+
+function formatLogEntry(entry) {
+    const time = entry.timestamp ? new Date(entry.timestamp).toISOString() : '';
+    return `${time} ${entry.level || ''} ${entry.message || ''}`.trim();
+}
+
+function slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'step';
+}
+
+/**
+ * The directory itself, or with a counter when a step of the same name already failed
+ */
+function uniqueDir(dir) {
+    let candidate = dir;
+    for (let counter = 2; fs.existsSync(candidate); counter++) {
+        candidate = `${dir}_${counter}`;
+    }
+    return candidate;
+}
+
+module.exports = FailureDiagnostics;
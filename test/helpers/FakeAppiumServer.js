@@ -0,0 +1,627 @@
+/**
+ * Fake Appium Server
+ * Local stand-in for an Appium/WebDriver server that replays captured
+ * page-source XML files and follows a scripted screen-transition map,
+ * so the runner, page objects and report generator can run without a device
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PNG } = require('pngjs');
+const UiHierarchy = require('./UiHierarchy');
+
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+const DEFAULT_TRANSITIONS = path.join(__dirname, '..', 'fixtures', 'screens', 'transitions.json');
+
+// Device log lines kept per session, like a logcat ring buffer
+const LOG_BUFFER_SIZE = 500;
+
+/**
+ * Error carrying a W3C WebDriver error code and HTTP status
+ */
+class WebDriverError extends Error {
+    constructor(error, message, status = 500) {
+        super(message);
+        this.error = error;
+        this.status = status;
+    }
+}
+
+class FakeAppiumServer {
+
+    constructor({ port = 4724, hostname = 'localhost', transitions = DEFAULT_TRANSITIONS, verbose = false } = {}) {
+        this.port = port;
+        this.hostname = hostname;
+        this.verbose = verbose;
+        this.map = this.loadTransitionMap(transitions);
+        this.sessions = new Map();
+        this.server = null;
+        this.routes = this.buildRoutes();
+    }
+
+    /**
+     * Load the transition map and read every referenced hierarchy file
+     */
+    loadTransitionMap(mapPath) {
+        const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+        const baseDir = path.dirname(mapPath);
+
+        if (!map.screens || !map.screens[map.initialScreen]) {
+            throw new Error(`Transition map ${mapPath} must define screens and a valid initialScreen`);
+        }
+
+        Object.entries(map.screens).forEach(([name, screen]) => {
+            screen.sourcePath = path.resolve(baseDir, screen.source);
+            screen.xml = fs.readFileSync(screen.sourcePath, 'utf8');
+            // Fail early on malformed fixtures rather than on the first find-element call
+            UiHierarchy.parse(screen.xml);
+            screen.name = name;
+        });
+
+        (map.transitions || []).forEach(transition => {
+            if (transition.from !== '*' && !map.screens[transition.from]) {
+                throw new Error(`Transition from unknown screen "${transition.from}"`);
+            }
+            if (transition.type !== 'back' && !map.screens[transition.to]) {
+                throw new Error(`Transition to unknown screen "${transition.to}"`);
+            }
+        });
+
+        return map;
+    }
+
+    /**
+     * Start listening; resolves with the bound port
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.hostname, () => {
+                this.port = this.server.address().port;
+                console.log(`🤖 Fake Appium server listening on http://${this.hostname}:${this.port}`);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop all sessions
+     */
+    stop() {
+        this.sessions.clear();
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    buildRoutes() {
+        const s = '/session/([^/]+)';
+        const e = `${s}/element/([^/]+)`;
+        return [
+            ['GET', '/status', () => ({ ready: true, message: 'Fake Appium server ready', build: { version: 'fake' } })],
+            ['POST', '/session', (params, body) => this.createSession(body)],
+            ['DELETE', `${s}`, ([id]) => this.deleteSession(id)],
+            ['GET', `${s}/timeouts`, ([id]) => this.getSession(id).timeouts],
+            ['POST', `${s}/timeouts`, ([id], body) => this.setTimeouts(id, body)],
+            ['POST', `${s}/element`, ([id], body) => this.findElement(id, body)],
+            ['POST', `${s}/elements`, ([id], body) => this.findElements(id, body)],
+            ['POST', `${e}/element`, ([id, elementId], body) => this.findElement(id, body, elementId)],
+            ['POST', `${e}/elements`, ([id, elementId], body) => this.findElements(id, body, elementId)],
+            ['GET', `${e}/attribute/([^/]+)`, ([id, elementId, name]) => this.getAttribute(id, elementId, decodeURIComponent(name))],
+            ['GET', `${e}/text`, ([id, elementId]) => this.getAttribute(id, elementId, 'text') || ''],
+            ['GET', `${e}/name`, ([id, elementId]) => this.getAttribute(id, elementId, 'class')],
+            ['GET', `${e}/displayed`, ([id, elementId]) => this.getAttribute(id, elementId, 'displayed') === 'true'],
+            ['GET', `${e}/enabled`, ([id, elementId]) => this.getAttribute(id, elementId, 'enabled') === 'true'],
+            ['GET', `${e}/selected`, ([id, elementId]) => this.getAttribute(id, elementId, 'selected') === 'true'],
+            ['GET', `${e}/rect`, ([id, elementId]) => this.getRect(id, elementId)],
+            ['POST', `${e}/click`, ([id, elementId]) => this.click(id, elementId)],
+            ['POST', `${e}/value`, ([id, elementId], body) => this.sendKeys(id, elementId, body)],
+            ['POST', `${e}/clear`, ([id, elementId]) => this.clear(id, elementId)],
+            ['POST', `${s}/back`, ([id]) => this.back(id)],
+            ['GET', `${s}/source`, ([id]) => this.getSource(id)],
+            ['GET', `${s}/screenshot`, ([id]) => this.screenshot(id)],
+            ['GET', `${s}/window/rect`, ([id]) => this.getWindowRect(id)],
+            ['POST', `${s}/execute/sync`, () => null],
+            ['POST', `${s}/actions`, ([id], body) => this.performActions(id, body)],
+            ['DELETE', `${s}/actions`, () => null],
+            ['POST', `${s}/touch/perform`, () => null],
+            ['GET', `${s}/appium/device/current_activity`, ([id]) => this.currentScreen(id).activity || '.MainActivity'],
+            ['GET', `${s}/appium/device/current_package`, () => this.map.package],
+            ['GET', `${s}/log/types`, () => ['logcat']],
+            ['POST', `${s}/log`, ([id], body) => this.getLogs(id, body.type)]
+        ].map(([method, pattern, handler]) => ({ method, regex: new RegExp(`^${pattern}/?$`), handler }));
+    }
+
+    async handleRequest(req, res) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        const url = req.url.split('?')[0];
+        const route = this.routes.find(r => r.method === req.method && r.regex.test(url));
+        let status = 200;
+        let payload;
+
+        try {
+            if (!route) {
+                throw new WebDriverError('unknown command', `Fake Appium server does not support ${req.method} ${url}`, 404);
+            }
+            const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+            const params = route.regex.exec(url).slice(1);
+            const value = await route.handler(params, body);
+            payload = { value: value === undefined ? null : value };
+        } catch (error) {
+            status = error.status || 500;
+            payload = { value: { error: error.error || 'unknown error', message: error.message, stacktrace: '' } };
+        }
+
+        if (this.verbose) {
+            console.log(`[fake-appium] ${req.method} ${url} → ${status}`);
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload));
+    }
+
+    // ========
+    // Sessions
+    // ========
+
+    createSession(body) {
+        const requested = (body.capabilities && body.capabilities.alwaysMatch) || body.desiredCapabilities || {};
+        const sessionId = crypto.randomUUID();
+        const capabilities = { ...requested, platformName: 'Android', 'appium:automationName': 'UiAutomator2' };
+
+        this.sessions.set(sessionId, {
+            id: sessionId,
+            capabilities,
+            screen: this.map.initialScreen,
+            history: [],
+            timeouts: { implicit: 0, pageLoad: 300000, script: 30000 },
+            elements: new Map(),
+            documents: new Map(),
+            ignoredClicks: new Map(),
+            logs: []
+        });
+        this.log(this.sessions.get(sessionId), 'INFO', `ActivityManager: Displayed ${this.activityName(this.map.initialScreen)}`);
+        console.log(`🤖 Fake session ${sessionId} started on screen "${this.map.initialScreen}"`);
+        return { sessionId, capabilities };
+    }
+
+    deleteSession(sessionId) {
+        this.sessions.delete(sessionId);
+        return null;
+    }
+
+    setTimeouts(sessionId, timeouts) {
+        const session = this.getSession(sessionId);
+        ['implicit', 'pageLoad', 'script'].forEach(name => {
+            if (typeof timeouts[name] === 'number') {
+                session.timeouts[name] = timeouts[name];
+            }
+        });
+        return null;
+    }
+
+    getSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new WebDriverError('invalid session id', `No active session with id ${sessionId}`, 404);
+        }
+        return session;
+    }
+
+    currentScreen(sessionId) {
+        const session = this.getSession(sessionId);
+        return this.map.screens[session.screen];
+    }
+
+    /**
+     * Parsed document for a screen, cached per session
+     */
+    getDocument(session, screenName) {
+        if (!session.documents.has(screenName)) {
+            const document = UiHierarchy.parse(this.map.screens[screenName].xml);
+            session.documents.set(screenName, { document, elements: UiHierarchy.elements(document) });
+        }
+        return session.documents.get(screenName);
+    }
+
+    // ========
+    // Elements
+    // ========
+
+    /**
+     * Element ids encode the screen so references become stale after navigation
+     */
+    toReference(session, node) {
+        const { document, elements } = this.getDocument(session, session.screen);
+        const elementId = `${session.screen}-${elements.indexOf(node)}`;
+        session.elements.set(elementId, { screen: session.screen, document, node });
+        return { [ELEMENT_KEY]: elementId, ELEMENT: elementId };
+    }
+
+    getNode(sessionId, elementId) {
+        const session = this.getSession(sessionId);
+        const entry = session.elements.get(elementId);
+        if (!entry) {
+            throw new WebDriverError('no such element', `Unknown element id ${elementId}`, 404);
+        }
+        if (entry.screen !== session.screen || entry.document !== this.getDocument(session, session.screen).document) {
+            throw new WebDriverError('stale element reference', `Element ${elementId} is no longer attached to the current screen`, 404);
+        }
+        return entry.node;
+    }
+
+    locate(sessionId, { using, value }, parentId) {
+        const session = this.getSession(sessionId);
+        const { document, elements } = this.getDocument(session, session.screen);
+        const context = parentId ? this.getNode(sessionId, parentId) : document;
+        const candidates = parentId ? UiHierarchy.select(context, './/*') : elements;
+
+        switch (using) {
+            case 'xpath':
+                try {
+                    return UiHierarchy.select(context, value);
+                } catch (error) {
+                    throw new WebDriverError('invalid selector', `Invalid XPath ${value}: ${error.message}`, 400);
+                }
+            case 'accessibility id':
+                return candidates.filter(node => node.getAttribute('content-desc') === value);
+            case 'id':
+                return candidates.filter(node => {
+                    const resourceId = node.getAttribute('resource-id') || '';
+                    return resourceId === value || resourceId.endsWith(`:id/${value}`);
+                });
+            case 'class name':
+                return candidates.filter(node => node.getAttribute('class') === value);
+            case '-android uiautomator':
+                return this.matchUiSelector(candidates, value);
+            default:
+                throw new WebDriverError('invalid selector', `Locator strategy "${using}" is not supported by the fake server`, 400);
+        }
+    }
+
+    /**
+     * Evaluate a UiSelector expression. Captured screens have everything in the
+     * hierarchy already, so UiScrollable.scrollIntoView() resolves to its target selector.
+     */
+    matchUiSelector(candidates, expression) {
+        const scrollTarget = expression.match(/\.scrollIntoView\((.*)\)\s*;?\s*$/);
+        const selector = scrollTarget ? scrollTarget[1] : expression;
+
+        const predicates = {
+            text: (node, v) => node.getAttribute('text') === v,
+            textContains: (node, v) => (node.getAttribute('text') || '').includes(v),
+            textStartsWith: (node, v) => (node.getAttribute('text') || '').startsWith(v),
+            description: (node, v) => node.getAttribute('content-desc') === v,
+            descriptionContains: (node, v) => (node.getAttribute('content-desc') || '').includes(v),
+            resourceId: (node, v) => node.getAttribute('resource-id') === v,
+            className: (node, v) => node.getAttribute('class') === v,
+            clickable: (node, v) => node.getAttribute('clickable') === String(v),
+            scrollable: (node, v) => node.getAttribute('scrollable') === String(v),
+            enabled: (node, v) => node.getAttribute('enabled') === String(v)
+        };
+
+        const calls = [];
+        const callPattern = /\.(\w+)\(\s*("(?:[^"\\]|\\.)*"|true|false|-?\d+)\s*\)/g;
+        let match;
+        while ((match = callPattern.exec(selector)) !== null) {
+            const [, method, raw] = match;
+            if (!predicates[method]) {
+                throw new WebDriverError('invalid selector', `UiSelector method "${method}" is not supported by the fake server`, 400);
+            }
+            calls.push({ method, value: JSON.parse(raw) });
+        }
+        if (!selector.includes('new UiSelector()') || calls.length === 0) {
+            throw new WebDriverError('invalid selector', `Could not parse UiSelector expression ${expression}`, 400);
+        }
+
+        return candidates.filter(node => calls.every(({ method, value }) => predicates[method](node, value)));
+    }
+
+    findElement(sessionId, body, parentId) {
+        const [node] = this.locate(sessionId, body, parentId);
+        if (!node) {
+            throw new WebDriverError('no such element', `An element could not be located on screen "${this.getSession(sessionId).screen}" using ${body.using} ${body.value}`, 404);
+        }
+        return this.toReference(this.getSession(sessionId), node);
+    }
+
+    findElements(sessionId, body, parentId) {
+        const session = this.getSession(sessionId);
+        return this.locate(sessionId, body, parentId).map(node => this.toReference(session, node));
+    }
+
+    getAttribute(sessionId, elementId, name) {
+        const node = this.getNode(sessionId, elementId);
+        const attributeName = name === 'contentDescription' ? 'content-desc' : name;
+        return node.hasAttribute(attributeName) ? node.getAttribute(attributeName) : null;
+    }
+
+    getRect(sessionId, elementId) {
+        const node = this.getNode(sessionId, elementId);
+        return UiHierarchy.parseBounds(node.getAttribute('bounds')) || { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    /**
+     * Page source of the current screen, including text typed into it
+     */
+    getSource(sessionId) {
+        const session = this.getSession(sessionId);
+        return UiHierarchy.serialize(this.getDocument(session, session.screen).document);
+    }
+
+    editableNode(sessionId, elementId) {
+        const node = this.getNode(sessionId, elementId);
+        if (node.getAttribute('class') !== 'android.widget.EditText' || node.getAttribute('enabled') !== 'true') {
+            throw new WebDriverError('invalid element state', `Element ${elementId} (${UiHierarchy.describe(node)}) is not an editable text field`, 400);
+        }
+        return node;
+    }
+
+    sendKeys(sessionId, elementId, { text, value } = {}) {
+        const node = this.editableNode(sessionId, elementId);
+        const typed = typeof text === 'string' ? text : (value || []).join('');
+        node.setAttribute('text', (node.getAttribute('text') || '') + typed);
+        return null;
+    }
+
+    clear(sessionId, elementId) {
+        this.editableNode(sessionId, elementId).setAttribute('text', '');
+        return null;
+    }
+
+    getWindowRect(sessionId) {
+        const session = this.getSession(sessionId);
+        const root = this.getDocument(session, session.screen).document.documentElement;
+        return { x: 0, y: 0, width: Number(root.getAttribute('width')), height: Number(root.getAttribute('height')) };
+    }
+
+    // ==========
+    // Navigation
+    // ==========
+
+    /**
+     * Labels that identify what was tapped: text and content-desc parts of the
+     * element, its ancestors up to the nearest clickable one and that clickable
+     * element's descendants (tapping a tile taps the labels drawn inside it)
+     */
+    clickLabels(node) {
+        const labels = [];
+        const addLabels = (current) => {
+            labels.push(current.getAttribute('text'));
+            labels.push(...(current.getAttribute('content-desc') || '').split(', '));
+        };
+
+        let current = node;
+        while (current && current.nodeType === 1) {
+            addLabels(current);
+            if (current.getAttribute('clickable') === 'true') {
+                UiHierarchy.select(current, './/*').forEach(addLabels);
+                break;
+            }
+            current = current.parentNode;
+        }
+        return labels.filter(Boolean);
+    }
+
+    click(sessionId, elementId) {
+        return this.tapNode(this.getSession(sessionId), this.getNode(sessionId, elementId));
+    }
+
+    tapNode(session, node) {
+        const target = UiHierarchy.clickableAncestor(node);
+
+        if (!target || target.getAttribute('enabled') !== 'true') {
+            return null;
+        }
+
+        const labels = this.clickLabels(node);
+        const transition = (this.map.transitions || []).find(t =>
+            (t.from === '*' || t.from === session.screen) && labels.includes(t.click));
+
+        if (!transition) {
+            return null;
+        }
+
+        // "flakyClicks": N makes the first N matching taps of a session do nothing, to exercise retries
+        const ignored = session.ignoredClicks.get(transition) || 0;
+        if (ignored < (transition.flakyClicks || 0)) {
+            session.ignoredClicks.set(transition, ignored + 1);
+            console.log(`🤖 Ignoring tap on "${transition.click}" (flaky ${ignored + 1}/${transition.flakyClicks})`);
+            return null;
+        }
+
+        const missing = this.missingRequirements(session, transition);
+        if (missing.length > 0) {
+            this.rejectTransition(session, transition, missing);
+        } else {
+            this.applyTransition(session, transition);
+        }
+        return null;
+    }
+
+    /**
+     * Resource-ids listed in a transition's "requires" that have no text on the current screen
+     */
+    missingRequirements(session, transition) {
+        const { elements } = this.getDocument(session, session.screen);
+        return (transition.requires || []).filter(resourceId => {
+            const node = elements.find(n => n.getAttribute('resource-id') === resourceId);
+            return !node || !node.getAttribute('text');
+        });
+    }
+
+    rejectTransition(session, transition, missing) {
+        console.log(`🤖 "${transition.click}" on "${session.screen}" rejected, missing ${missing.join(', ')}`);
+        this.log(session, 'WARNING', `InputValidation: "${transition.click}" rejected, missing ${missing.join(', ')}`);
+        if (!transition.invalid) {
+            return;
+        }
+        const { elements } = this.getDocument(session, session.screen);
+        const target = elements.find(n => n.getAttribute('resource-id') === transition.invalid.element);
+        if (target) {
+            target.setAttribute('text', transition.invalid.text);
+        }
+    }
+
+    /**
+     * W3C pointer actions: a press and release at (almost) the same point is a tap
+     * on the topmost element there; swipes are accepted but the captured screens do not scroll
+     */
+    performActions(sessionId, { actions = [] } = {}) {
+        const session = this.getSession(sessionId);
+
+        actions.filter(source => source.type === 'pointer').forEach(source => {
+            let position = { x: 0, y: 0 };
+            let pressedAt = null;
+            (source.actions || []).forEach(action => {
+                if (action.type === 'pointerMove') {
+                    position = { x: action.x, y: action.y };
+                } else if (action.type === 'pointerDown') {
+                    pressedAt = position;
+                } else if (action.type === 'pointerUp' && pressedAt) {
+                    if (Math.abs(position.x - pressedAt.x) < 10 && Math.abs(position.y - pressedAt.y) < 10) {
+                        const node = this.hitTest(session, position);
+                        if (node) {
+                            this.tapNode(session, node);
+                        }
+                    }
+                    pressedAt = null;
+                }
+            });
+        });
+        return null;
+    }
+
+    hitTest(session, { x, y }) {
+        const { elements } = this.getDocument(session, session.screen);
+        const hits = elements.filter(node => {
+            const rect = UiHierarchy.parseBounds(node.getAttribute('bounds'));
+            return rect && node.getAttribute('displayed') !== 'false' &&
+                x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+        });
+        return hits[hits.length - 1] || null;
+    }
+
+    applyTransition(session, transition) {
+        if (transition.type === 'back') {
+            this.navigateBack(session);
+            return;
+        }
+        if (transition.type !== 'replace') {
+            session.history.push(session.screen);
+        }
+        console.log(`🤖 Screen "${session.screen}" → "${transition.to}" (${transition.click})`);
+        this.log(session, 'INFO', `ActivityManager: Displayed ${this.activityName(transition.to)} (${transition.click})`);
+        // Screens reached by navigating forward start fresh; going back keeps what was typed
+        session.documents.delete(transition.to);
+        session.screen = transition.to;
+    }
+
+    navigateBack(session) {
+        if (session.history.length === 0) {
+            return;
+        }
+        const previous = session.history.pop();
+        console.log(`🤖 Back: "${session.screen}" → "${previous}"`);
+        this.log(session, 'INFO', `ActivityManager: Back to ${this.activityName(previous)}`);
+        session.screen = previous;
+    }
+
+    back(sessionId) {
+        this.navigateBack(this.getSession(sessionId));
+        return null;
+    }
+
+    // ==========
+    // Device log
+    // ==========
+
+    /**
+     * Append a logcat line to the session's buffer
+     */
+    log(session, level, message) {
+        session.logs.push({ timestamp: Date.now(), level, message });
+        if (session.logs.length > LOG_BUFFER_SIZE) {
+            session.logs.shift();
+        }
+    }
+
+    activityName(screenName) {
+        return `${this.map.package}/${this.map.screens[screenName].activity || '.MainActivity'}`;
+    }
+
+    /**
+     * Log entries since the last request, as Appium returns them; only "logcat" is available
+     */
+    getLogs(sessionId, type) {
+        const session = this.getSession(sessionId);
+        if (type !== 'logcat') {
+            throw new WebDriverError('invalid argument', `Log type "${type}" is not available, the fake server only has "logcat"`, 400);
+        }
+        return session.logs.splice(0, session.logs.length);
+    }
+
+    // ===========
+    // Screenshots
+    // ===========
+
+    /**
+     * Render the current hierarchy as a PNG: element bounds outlined, text
+     * elements filled with a colour derived from their text
+     */
+    screenshot(sessionId) {
+        const session = this.getSession(sessionId);
+        const { document, elements } = this.getDocument(session, session.screen);
+        const width = Number(document.documentElement.getAttribute('width'));
+        const height = Number(document.documentElement.getAttribute('height'));
+        const png = new PNG({ width, height });
+        png.data.fill(255);
+
+        const fillRect = (rect, [r, g, b], border = 0) => {
+            const x1 = Math.max(0, rect.x);
+            const y1 = Math.max(0, rect.y);
+            const x2 = Math.min(width, rect.x + rect.width);
+            const y2 = Math.min(height, rect.y + rect.height);
+            for (let y = y1; y < y2; y++) {
+                for (let x = x1; x < x2; x++) {
+                    if (border && x >= x1 + border && x < x2 - border && y >= y1 + border && y < y2 - border) {
+                        continue;
+                    }
+                    const offset = (y * width + x) * 4;
+                    png.data[offset] = r;
+                    png.data[offset + 1] = g;
+                    png.data[offset + 2] = b;
+                    png.data[offset + 3] = 255;
+                }
+            }
+        };
+
+        elements.forEach(node => {
+            const rect = UiHierarchy.parseBounds(node.getAttribute('bounds'));
+            if (!rect || node.getAttribute('displayed') === 'false') {
+                return;
+            }
+            const text = node.getAttribute('text');
+            if (text) {
+                const digest = crypto.createHash('md5').update(text).digest();
+                fillRect(rect, [digest[0] % 200, digest[1] % 200, digest[2] % 200]);
+            } else if (node.getAttribute('clickable') === 'true') {
+                fillRect(rect, [52, 152, 219], 3);
+            } else {
+                fillRect(rect, [225, 232, 237], 1);
+            }
+        });
+
+        return PNG.sync.write(png).toString('base64');
+    }
+}
+
+module.exports = FakeAppiumServer;
@@ -0,0 +1,171 @@
+/**
+ * Gestures
+ * Touch gestures built on W3C pointer actions (touchAction is deprecated in
+ * WebdriverIO 8). Coordinates are derived from the target container's rect,
+ * so gestures work on any screen size.
+ */
+
+const LocatorChain = require('./LocatorChain');
+
+const DEFAULT_CONTAINER = '//android.widget.ScrollView';
+
+class Gestures {
+
+    /**
+     * Perform a single-finger touch sequence
+     */
+    static async touch(steps) {
+        let action = browser.action('pointer', { parameters: { pointerType: 'touch' } });
+        steps.forEach(step => {
+            action = step(action);
+        });
+        await action.perform();
+    }
+
+    /**
+     * Tap a point
+     */
+    static async tap({ x, y }) {
+        await this.touch([
+            a => a.move({ x: Math.round(x), y: Math.round(y) }),
+            a => a.down(),
+            a => a.pause(50),
+            a => a.up()
+        ]);
+    }
+
+    /**
+     * Swipe between two points
+     */
+    static async swipe({ from, to, duration = 600 }) {
+        await this.touch([
+            a => a.move({ x: Math.round(from.x), y: Math.round(from.y) }),
+            a => a.down(),
+            a => a.pause(100),
+            a => a.move({ x: Math.round(to.x), y: Math.round(to.y), duration }),
+            a => a.up()
+        ]);
+    }
+
+    /**
+     * Press and hold an element or point
+     */
+    static async longPress(target, duration = 1000) {
+        const point = target.elementId ? this.center(await this.rectOf(target)) : target;
+        await this.touch([
+            a => a.move({ x: Math.round(point.x), y: Math.round(point.y) }),
+            a => a.down(),
+            a => a.pause(duration),
+            a => a.up()
+        ]);
+    }
+
+    static async rectOf(element) {
+        return await browser.getElementRect(element.elementId);
+    }
+
+    static center(rect) {
+        return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    }
+
+    /**
+     * Rect of the container to gesture in: the given element or selector,
+     * the first ScrollView, or the whole window
+     */
+    static async getContainerRect(container = DEFAULT_CONTAINER) {
+        try {
+            const element = typeof container === 'string' ? await $(container) : await container;
+            if (await element.isExisting()) {
+                return await this.rectOf(element);
+            }
+        } catch (error) {
+            console.log(`Scroll container not available: ${error.message}`);
+        }
+        return await browser.getWindowRect();
+    }
+
+    /**
+     * Scroll content by a percentage of the container's height (or width for left/right).
+     * Scrolling "down" moves the finger up so content further down comes into view.
+     */
+    static async scroll({ direction = 'down', percent = 0.5, container, duration = 600 } = {}) {
+        const rect = await this.getContainerRect(container);
+        const center = this.center(rect);
+        const vertical = direction === 'down' || direction === 'up';
+        const span = (vertical ? rect.height : rect.width) * Math.min(Math.max(percent, 0.05), 0.9) / 2;
+        const sign = direction === 'down' || direction === 'right' ? 1 : -1;
+
+        const from = vertical ? { x: center.x, y: center.y + sign * span } : { x: center.x + sign * span, y: center.y };
+        const to = vertical ? { x: center.x, y: center.y - sign * span } : { x: center.x - sign * span, y: center.y };
+
+        await this.swipe({ from, to, duration });
+    }
+
+    /**
+     * Fast swipe that lets the content keep scrolling
+     */
+    static async fling({ direction = 'down', container } = {}) {
+        await this.scroll({ direction, percent: 0.8, container, duration: 100 });
+    }
+
+    /**
+     * Bring an element with the given text or content-desc into view.
+     * Tries UiScrollable first, then falls back to scrolling manually; gives up after
+     * maxScrolls or as soon as a scroll no longer changes the screen.
+     */
+    static async scrollIntoView({ text, contentDesc, direction = 'down', maxScrolls = 5, container } = {}) {
+        if (!text && !contentDesc) {
+            throw new Error('scrollIntoView needs a text or contentDesc to look for');
+        }
+
+        const label = text ? `text "${text}"` : `content-desc "${contentDesc}"`;
+        const target = new LocatorChain(label, [text ? { type: 'text', value: text } : { type: 'contentDesc', value: contentDesc }]);
+
+        const visible = await this.findVisible(target);
+        if (visible) {
+            return visible;
+        }
+
+        try {
+            const selector = text ? `text("${text}")` : `description("${contentDesc}")`;
+            const element = await $(`android=new UiScrollable(new UiSelector().scrollable(true)).setMaxSearchSwipes(${maxScrolls}).scrollIntoView(new UiSelector().${selector})`);
+            if (await element.isExisting() && await element.isDisplayed()) {
+                return element;
+            }
+        } catch (error) {
+            console.log(`UiScrollable could not reach ${label}, scrolling manually: ${error.message}`);
+        }
+
+        let previousSource = await browser.getPageSource();
+        for (let attempt = 1; attempt <= maxScrolls; attempt++) {
+            await this.scroll({ direction, percent: 0.5, container });
+
+            const element = await this.findVisible(target);
+            if (element) {
+                return element;
+            }
+
+            const source = await browser.getPageSource();
+            if (source === previousSource) {
+                throw new Error(`Element with ${label} not found: reached the end of the content after ${attempt} scroll(s)`);
+            }
+            previousSource = source;
+        }
+
+        throw new Error(`Element with ${label} not found after ${maxScrolls} scroll(s)`);
+    }
+
+    /**
+     * The element if it is on screen right now, without paying the implicit wait
+     */
+    static async findVisible(locator) {
+        try {
+            const element = await locator.find({ timeout: 0 });
+            return await element.isDisplayed() ? element : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = Gestures;
@@ -0,0 +1,346 @@
+/**
+ * Hierarchy Diff
+ * Compares two page-source XMLs of the same screen (e.g. the committed
+ * element_discovery_source.xml and a capture from a new APK) and reports
+ * added, removed, renamed, moved and resized elements, keyed by
+ * resource-id, content-desc or text
+ */
+
+const UiHierarchy = require('./UiHierarchy');
+const ScreenFingerprint = require('./ScreenFingerprint');
+const PageObjectGenerator = require('./PageObjectGenerator');
+const HtmlTemplate = require('./HtmlTemplate');
+
+const { html } = HtmlTemplate;
+
+const CHANGE_TYPES = ['added', 'removed', 'renamed', 'moved', 'resized'];
+
+class HierarchyDiff {
+
+    /**
+     * Identified elements of a document in document order. The key is the resource-id,
+     * content-desc or text; keys repeated on the screen (e.g. the icon-button of every
+     * tile) are qualified with the tile they belong to, then with their occurrence.
+     */
+    static entries(document) {
+        const entries = UiHierarchy.elements(document)
+            .map(element => ({ element, base: this.baseKey(element) }))
+            .filter(entry => entry.base);
+
+        const qualify = (list, keyOf) => {
+            const counts = {};
+            list.forEach(entry => {
+                counts[keyOf(entry)] = (counts[keyOf(entry)] || 0) + 1;
+            });
+            return key => counts[key] > 1;
+        };
+
+        const repeated = qualify(entries, entry => entry.base);
+        entries.forEach(entry => {
+            const section = repeated(entry.base) ? PageObjectGenerator.sectionOf(entry.element) : null;
+            entry.key = section ? `${entry.base} in ${PageObjectGenerator.label(section)}` : entry.base;
+        });
+
+        const stillRepeated = qualify(entries, entry => entry.key);
+        const seen = {};
+        return entries.map(({ element, key }) => {
+            if (stillRepeated(key)) {
+                seen[key] = (seen[key] || 0) + 1;
+                key = `${key} #${seen[key]}`;
+            }
+            return this.describeEntry(element, key);
+        });
+    }
+
+    /**
+     * resource-id, content-desc or text of an element, null for anonymous containers
+     */
+    static baseKey(element) {
+        const resourceId = element.getAttribute('resource-id');
+        if (resourceId) {
+            return `id=${resourceId}`;
+        }
+        const contentDesc = element.getAttribute('content-desc');
+        if (contentDesc) {
+            return `desc=${ScreenFingerprint.cleanLabel(contentDesc) || showGlyphs(contentDesc)}`;
+        }
+        const text = element.getAttribute('text');
+        if (text && text.trim()) {
+            return `text=${ScreenFingerprint.cleanLabel(text) || showGlyphs(text)}`;
+        }
+        return null;
+    }
+
+    static describeEntry(element, key) {
+        const section = PageObjectGenerator.sectionOf(element);
+        return {
+            key,
+            element,
+            className: (element.getAttribute('class') || element.nodeName).split('.').pop(),
+            contentDesc: element.getAttribute('content-desc') || '',
+            text: element.getAttribute('text') || '',
+            bounds: UiHierarchy.parseBounds(element.getAttribute('bounds')),
+            section: section ? PageObjectGenerator.label(section) : null,
+            index: UiHierarchy.children(element.parentNode).indexOf(element)
+        };
+    }
+
+    /**
+     * Compare two documents. Elements are paired by key; unpaired elements of the same
+     * class at the same place (same bounds, or same tile and sibling position) are
+     * reported as renamed. Position and size changes within the tolerance are ignored.
+     */
+    static diff(beforeDocument, afterDocument, { tolerance = 2 } = {}) {
+        const before = this.entries(beforeDocument);
+        const after = this.entries(afterDocument);
+        const result = { added: [], removed: [], renamed: [], moved: [], resized: [], unchanged: 0, compared: { before: before.length, after: after.length } };
+
+        const afterByKey = new Map(after.map(entry => [entry.key, entry]));
+        const pairs = [];
+        const unpairedBefore = [];
+        before.forEach(entry => {
+            const match = afterByKey.get(entry.key);
+            if (match) {
+                pairs.push([entry, match]);
+                afterByKey.delete(entry.key);
+            } else {
+                unpairedBefore.push(entry);
+            }
+        });
+
+        const unpairedAfter = after.filter(entry => afterByKey.has(entry.key));
+        unpairedBefore.forEach(entry => {
+            const match = unpairedAfter.find(candidate => this.samePlace(entry, candidate, tolerance));
+            if (match) {
+                pairs.push([entry, match]);
+                unpairedAfter.splice(unpairedAfter.indexOf(match), 1);
+            } else {
+                result.removed.push({ type: 'removed', key: entry.key, before: entry });
+            }
+        });
+        result.added = unpairedAfter.map(entry => ({ type: 'added', key: entry.key, after: entry }));
+
+        // A tile whose label changed keeps its children: they are not moved to another tile
+        const renamedLabels = new Map(pairs
+            .map(([from, to]) => [PageObjectGenerator.label(from.element), PageObjectGenerator.label(to.element)])
+            .filter(([from, to]) => from && from !== to));
+        pairs.forEach(([from, to]) => {
+            const changes = this.compare(from, to, { tolerance, renamedLabels });
+            changes.forEach(change => result[change.type].push(change));
+            if (changes.length === 0) {
+                result.unchanged++;
+            }
+        });
+
+        const order = new Map(after.map((entry, index) => [entry, index]));
+        ['renamed', 'moved', 'resized', 'added'].forEach(type => {
+            result[type].sort((a, b) => order.get(a.after) - order.get(b.after));
+        });
+        return result;
+    }
+
+    static samePlace(from, to, tolerance) {
+        if (from.className !== to.className) {
+            return false;
+        }
+        if (from.bounds && to.bounds && !this.offset(from.bounds, to.bounds, tolerance) && !this.sizeChange(from.bounds, to.bounds, tolerance)) {
+            return true;
+        }
+        return Boolean(from.section) && from.section === to.section && from.index === to.index;
+    }
+
+    /**
+     * Changes between two paired elements
+     */
+    static compare(from, to, { tolerance, renamedLabels = new Map() }) {
+        const changes = [];
+        const base = { key: to.key, before: from, after: to };
+
+        const labels = ['contentDesc', 'text'].filter(attribute => from[attribute] !== to[attribute]);
+        if (labels.length > 0) {
+            changes.push({ ...base, type: 'renamed', attributes: labels });
+        }
+        if (from.bounds && to.bounds) {
+            const offset = this.offset(from.bounds, to.bounds, tolerance);
+            const sectionChanged = from.section !== to.section && renamedLabels.get(from.section) !== to.section;
+            if (offset || sectionChanged) {
+                changes.push({ ...base, type: 'moved', offset, sectionChanged });
+            }
+            if (this.sizeChange(from.bounds, to.bounds, tolerance)) {
+                changes.push({ ...base, type: 'resized' });
+            }
+        }
+        return changes;
+    }
+
+    static offset(from, to, tolerance) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        return Math.abs(dx) > tolerance || Math.abs(dy) > tolerance ? { dx, dy } : null;
+    }
+
+    static sizeChange(from, to, tolerance) {
+        return Math.abs(to.width - from.width) > tolerance || Math.abs(to.height - from.height) > tolerance;
+    }
+
+    static changeCount(diff) {
+        return CHANGE_TYPES.reduce((total, type) => total + diff[type].length, 0);
+    }
+
+    /**
+     * Printable label: class and content-desc or text, with icon glyphs shown as code points
+     */
+    static labelOf(entry) {
+        const label = entry.contentDesc || entry.text;
+        return label ? `${entry.className}("${showGlyphs(label)}")` : entry.className;
+    }
+
+    static describeChange(change) {
+        const entry = change.after || change.before;
+        const where = entry.section ? ` in ${entry.section}` : '';
+        switch (change.type) {
+        case 'added':
+        case 'removed':
+            return `${this.labelOf(entry)}${where} at ${formatRect(entry.bounds)}`;
+        case 'renamed':
+            return `${this.labelOf(change.before)} → ${this.labelOf(change.after)}${where}`;
+        case 'moved':
+            return `${this.labelOf(entry)} ${formatPoint(change.before.bounds)} → ${formatPoint(change.after.bounds)}` +
+                (change.sectionChanged ? ` (from ${change.before.section || 'the screen'} to ${change.after.section || 'the screen'})` : '');
+        case 'resized':
+            return `${this.labelOf(entry)}${where} ${formatSize(change.before.bounds)} → ${formatSize(change.after.bounds)}`;
+        default:
+            return this.labelOf(entry);
+        }
+    }
+
+    /**
+     * Render a diff as console text
+     */
+    static formatDiff(diff, { beforeName = 'before', afterName = 'after' } = {}) {
+        const symbols = { added: '+', removed: '-', renamed: '~', moved: '>', resized: '*' };
+        const lines = [`\n🔍 ${beforeName} → ${afterName}`];
+        CHANGE_TYPES.forEach(type => {
+            diff[type].forEach(change => {
+                lines.push(`  ${symbols[type]} ${type.padEnd(8)} ${change.key}`);
+                lines.push(`             ${this.describeChange(change)}`);
+            });
+        });
+
+        const counts = CHANGE_TYPES.map(type => `${diff[type].length} ${type}`).join(', ');
+        lines.push(`  ${diff.compared.before} → ${diff.compared.after} identified elements: ${counts}, ${diff.unchanged} unchanged`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Standalone HTML page: change table and wireframes of both screens with the
+     * changed elements highlighted
+     */
+    static generateHtml(diff, { beforeName = 'before', afterName = 'after', beforeDocument, afterDocument } = {}) {
+        const rows = CHANGE_TYPES.map(type => diff[type].map(change => html`
+            <tr class="${type}">
+                <td><span class="badge">${type}</span></td>
+                <td><code>${change.key}</code></td>
+                <td>${this.describeChange(change)}</td>
+            </tr>`));
+
+        // Key of every changed element per side, with the first change type reported for it
+        const highlights = { before: new Map(), after: new Map() };
+        CHANGE_TYPES.forEach(type => {
+            diff[type].forEach(change => {
+                ['before', 'after'].forEach(side => {
+                    if (change[side] && !highlights[side].has(change[side].key)) {
+                        highlights[side].set(change[side].key, type);
+                    }
+                });
+            });
+        });
+
+        const wireframe = (document, side, name) => {
+            if (!document) {
+                return '';
+            }
+            const root = document.documentElement;
+            const width = Number(root.getAttribute('width')) || 1080;
+            const height = Number(root.getAttribute('height')) || 2340;
+            const boxes = this.entries(document).map(entry => {
+                const type = highlights[side].get(entry.key) || 'same';
+                const rect = entry.bounds;
+                if (!rect || rect.width <= 0 || rect.height <= 0) {
+                    return '';
+                }
+                return html`<rect class="${type}" x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}"><title>${entry.key} (${type})</title></rect>`;
+            });
+            return html`
+            <figure>
+                <figcaption>${name}</figcaption>
+                <svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg"><rect class="screen" width="${width}" height="${height}"/>${boxes}</svg>
+            </figure>`;
+        };
+
+        const total = this.changeCount(diff);
+        return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Hierarchy Diff</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+        .summary span { display: inline-block; margin: 0 8px 8px 0; padding: 4px 10px; background: #fff; border-radius: 12px; }
+        .content { display: flex; gap: 20px; align-items: flex-start; }
+        table { flex: 1; border-collapse: collapse; background: #fff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); font-size: 0.9em; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; vertical-align: top; }
+        .badge { padding: 2px 8px; border-radius: 10px; color: #fff; font-size: 0.85em; }
+        tr.added .badge { background: #27ae60; }
+        tr.removed .badge { background: #e74c3c; }
+        tr.renamed .badge { background: #2980b9; }
+        tr.moved .badge { background: #f39c12; }
+        tr.resized .badge { background: #8e44ad; }
+        figure { margin: 0; text-align: center; }
+        svg { width: 220px; background: #fff; border: 1px solid #ddd; border-radius: 4px; }
+        svg rect { fill: none; stroke: #ccc; stroke-width: 3; }
+        svg rect.screen { stroke: none; }
+        svg rect.added { fill: rgba(39,174,96,0.3); stroke: #27ae60; stroke-width: 8; }
+        svg rect.removed { fill: rgba(231,76,60,0.3); stroke: #e74c3c; stroke-width: 8; }
+        svg rect.renamed { fill: rgba(41,128,185,0.3); stroke: #2980b9; stroke-width: 8; }
+        svg rect.moved { fill: rgba(243,156,18,0.3); stroke: #f39c12; stroke-width: 8; }
+        svg rect.resized { fill: rgba(142,68,173,0.3); stroke: #8e44ad; stroke-width: 8; }
+        .identical { color: #27ae60; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>🔍 Hierarchy Diff</h1>
+        <p><strong>${beforeName}</strong> → <strong>${afterName}</strong> · ${diff.compared.before} → ${diff.compared.after} identified elements · ${diff.unchanged} unchanged</p>
+        <p class="summary">${CHANGE_TYPES.map(type => html`<span>${diff[type].length} ${type}</span>`)}</p>
+    </header>
+    <div class="content">${total === 0 ? html`
+        <p class="identical">✅ No structural changes</p>` : html`
+        <table>
+            <tr><th>Change</th><th>Key</th><th>Details</th></tr>${rows}
+        </table>`}${wireframe(beforeDocument, 'before', beforeName)}${wireframe(afterDocument, 'after', afterName)}
+    </div>
+</body>
+</html>`;
+    }
+}
+
+function showGlyphs(value) {
+    return value.replace(/[\u{E000}-\u{F8FF}\u{F0000}-\u{10FFFF}]/gu,
+        glyph => `U+${glyph.codePointAt(0).toString(16).toUpperCase()}`);
+}
+
+function formatRect(rect) {
+    return rect ? `${formatPoint(rect)} ${formatSize(rect)}` : 'no bounds';
+}
+
+function formatPoint(rect) {
+    return `(${rect.x},${rect.y})`;
+}
+
+function formatSize(rect) {
+    return `${rect.width}×${rect.height}`;
+}
+
+module.exports = HierarchyDiff;
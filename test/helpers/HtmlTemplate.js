@@ -0,0 +1,105 @@
+/**
+ * HTML Template
+ * Tagged template literals that escape every interpolated value:
+ *
+ *     html`<h4>${test.name}</h4>`
+ *
+ * Strings, numbers and other values are HTML-escaped, arrays are rendered
+ * item by item, null/undefined/false render nothing, and the result of another
+ * html`` (or raw()) is inserted as-is, so templates compose without double
+ * escaping. Templates are CommonJS modules exporting
+ * (context, helpers) => html`...`, looked up by name in a list of directories
+ * so a team can override single templates of the report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Markup that is already safe to insert
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+class HtmlTemplate {
+
+    /**
+     * Tag function: html`<p>${text}</p>`
+     */
+    static html(strings, ...values) {
+        return new SafeHtml(strings.reduce((out, string, index) =>
+            out + string + (index < values.length ? toHtml(values[index]) : ''), ''));
+    }
+
+    /**
+     * Insert markup without escaping (trusted content only: styles, scripts, rendered partials)
+     */
+    static raw(value) {
+        return new SafeHtml(value === null || value === undefined ? '' : String(value));
+    }
+
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static isSafe(value) {
+        return value instanceof SafeHtml;
+    }
+
+    /**
+     * Renderer over the template directories, searched in order: render(name, context)
+     * calls the first <directory>/<name>.js found with (context, helpers). The helpers
+     * always include html, raw and render, so templates can render each other.
+     */
+    static renderer(directories, helpers = {}) {
+        const cache = new Map();
+        const find = name => {
+            if (!cache.has(name)) {
+                const directory = directories.find(candidate => fs.existsSync(path.join(candidate, `${name}.js`)));
+                if (!directory) {
+                    throw new Error(`Report template "${name}" not found in ${directories.join(', ')}`);
+                }
+                cache.set(name, require(path.resolve(directory, `${name}.js`)));
+            }
+            return cache.get(name);
+        };
+
+        const render = (name, context) => {
+            const result = find(name)(context, allHelpers);
+            // A template returning a plain string would bypass escaping
+            if (!(result instanceof SafeHtml)) {
+                throw new Error(`Report template "${name}" must return html\`...\`, not a ${typeof result}`);
+            }
+            return result;
+        };
+        const allHelpers = { ...helpers, html: this.html.bind(this), raw: this.raw.bind(this), render };
+        return render;
+    }
+}
+
+function toHtml(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toHtml).join('');
+    }
+    return HtmlTemplate.escape(value);
+}
+
+module.exports = HtmlTemplate;
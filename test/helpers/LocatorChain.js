@@ -0,0 +1,148 @@
+/**
+ * Locator Chain
+ * A locator defined as ordered fallback strategies. The strategies are tried
+ * in order; when anything other than the first one matches the locator is
+ * "healed" and recorded so the report can show which selectors need updating.
+ */
+
+const STRATEGIES = {
+    accessibilityId: value => `~${value}`,
+    contentDesc: value => `//*[@content-desc="${value}"]`,
+    contentDescContains: value => `//*[contains(@content-desc, "${value}")]`,
+    text: value => `//*[@text="${value}"]`,
+    resourceId: value => `//*[@resource-id="${value}"]`,
+    relativeToLabel: value => `//*[@text="${value}"]/ancestor::*[@clickable="true"][1]`,
+    xpath: value => value
+};
+
+// Every match that needed a fallback strategy during this run
+const healEvents = [];
+
+class LocatorChain {
+
+    /**
+     * @param {string} name - Locator name, usually the page object getter
+     * @param {Array<{type: string, value: string}>} strategies - Ordered strategies
+     */
+    constructor(name, strategies) {
+        if (!strategies || strategies.length === 0) {
+            throw new Error(`Locator "${name}" needs at least one strategy`);
+        }
+        strategies.forEach(strategy => {
+            if (!STRATEGIES[strategy.type]) {
+                throw new Error(`Locator "${name}" uses unknown strategy "${strategy.type}". Available: ${Object.keys(STRATEGIES).join(', ')}`);
+            }
+        });
+
+        this.name = name;
+        this.strategies = strategies.map(strategy => ({
+            ...strategy,
+            selector: STRATEGIES[strategy.type](strategy.value)
+        }));
+        this.lastMatch = null;
+    }
+
+    /**
+     * Find the element, trying every strategy in order until one matches or the timeout expires
+     */
+    async find({ timeout = 10000, interval = 500 } = {}) {
+        const deadline = Date.now() + timeout;
+        const restoreImplicitWait = await this.disableImplicitWait();
+
+        try {
+            for (;;) {
+                for (let index = 0; index < this.strategies.length; index++) {
+                    const strategy = this.strategies[index];
+                    const element = await $(strategy.selector);
+                    if (await element.isExisting()) {
+                        this.recordMatch(index);
+                        return element;
+                    }
+                }
+                if (Date.now() >= deadline) {
+                    break;
+                }
+                await browser.pause(interval);
+            }
+        } finally {
+            await restoreImplicitWait();
+        }
+
+        const tried = this.strategies.map(s => `${s.type}=${s.value}`).join(', ');
+        throw new Error(`Locator "${this.name}" matched no strategy within ${timeout}ms (tried ${tried})`);
+    }
+
+    /**
+     * Check visibility without waiting; false when no strategy matches
+     */
+    async isDisplayed() {
+        try {
+            const element = await this.find({ timeout: 0 });
+            return await element.isDisplayed();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Fallback strategies are probed in turn, so the session's implicit wait
+     * would be paid for every miss. Turn it off for the lookup and restore it afterwards.
+     */
+    async disableImplicitWait() {
+        let implicit = null;
+        try {
+            ({ implicit } = await browser.getTimeouts());
+            if (implicit) {
+                await browser.setTimeout({ implicit: 0 });
+            }
+        } catch (error) {
+            implicit = null;
+        }
+        return async () => {
+            if (implicit) {
+                await browser.setTimeout({ implicit });
+            }
+        };
+    }
+
+    recordMatch(index) {
+        const strategy = this.strategies[index];
+        this.lastMatch = { index, type: strategy.type, selector: strategy.selector };
+
+        if (index === 0) {
+            return;
+        }
+
+        const primary = this.strategies[0];
+        console.log(`🩹 Locator "${this.name}" healed: ${primary.type} failed, matched by ${strategy.type} (${strategy.selector})`);
+
+        const existing = healEvents.find(e => e.locator === this.name && e.matchedStrategy === strategy.type);
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = new Date().toISOString();
+        } else {
+            healEvents.push({
+                locator: this.name,
+                primaryStrategy: primary.type,
+                primarySelector: primary.selector,
+                matchedStrategy: strategy.type,
+                matchedSelector: strategy.selector,
+                count: 1,
+                lastSeen: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Healed locators recorded so far in this run
+     */
+    static getHealedLocators() {
+        return healEvents.map(event => ({ ...event }));
+    }
+
+    static get strategyTypes() {
+        return Object.keys(STRATEGIES);
+    }
+}
+
+module.exports = LocatorChain;
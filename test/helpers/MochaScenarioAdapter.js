@@ -0,0 +1,52 @@
+/**
+ * Mocha Scenario Adapter
+ * Registers a scenario module's steps as mocha tests inside the current
+ * describe block. Each test runs its step through ScenarioRunner, so the
+ * WDIO spec records the same results as run-single-test.js; steps skipped
+ * because of a failed dependency are marked pending.
+ */
+
+const ScenarioRunner = require('./ScenarioRunner');
+const RetryPolicy = require('./RetryPolicy');
+const TestReportGenerator = require('./TestReportGenerator');
+const FailureDiagnostics = require('./FailureDiagnostics');
+
+class MochaScenarioAdapter {
+
+    /**
+     * Define before/after hooks and one it() per step. The after hook writes the HTML report.
+     * Options: suiteName and screenshot (takes a named screenshot, e.g. ProductionDataPage.takeScreenshot).
+     */
+    static register(scenario, { suiteName, screenshot } = {}) {
+        const retryDefaults = RetryPolicy.defaults();
+        let testResults;
+
+        before(async () => {
+            console.log('=== Starting Comprehensive Test Suite ===');
+            testResults = ScenarioRunner.createResults(suiteName);
+            FailureDiagnostics.attach(browser);
+        });
+
+        after(async () => {
+            console.log('=== Test Suite Completed ===');
+            if (screenshot) {
+                await screenshot('test_end');
+            }
+            ScenarioRunner.finalize(testResults);
+
+            await TestReportGenerator.generateComprehensiveReport(testResults);
+            console.log('📄 Comprehensive HTML report generated!');
+        });
+
+        scenario.steps.forEach(step => {
+            it(step.title || step.name, async function () {
+                const result = await ScenarioRunner.runStep(testResults, step, { retryDefaults, rethrow: true });
+                if (result.status === 'skipped') {
+                    this.skip();
+                }
+            });
+        });
+    }
+}
+
+module.exports = MochaScenarioAdapter;
@@ -0,0 +1,273 @@
+/**
+ * Navigation Graph
+ * Loads the declarative navigation model (test/scenarios/navigation.json or a
+ * YAML equivalent): screens with the tile that opens them and the landmarks
+ * they are recognised by, and accordions that reveal further tiles. The
+ * generator turns it into navigate-and-back scenario steps. The steps tap,
+ * expand and go back through the page object (clickSection, ensureExpanded,
+ * navigateBack, returnToScreen), so a tile is located by the same locator
+ * chain whichever step uses it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ScreenFingerprint = require('./ScreenFingerprint');
+
+class NavigationGraph {
+
+    /**
+     * Load and validate a graph from a .json, .yaml or .yml file
+     */
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Navigation graph not found: ${filePath}`);
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        let graph;
+        if (extension === '.json') {
+            graph = JSON.parse(content);
+        } else if (extension === '.yaml' || extension === '.yml') {
+            graph = require('yaml').parse(content);
+        } else {
+            throw new Error(`Unsupported navigation graph format "${extension}" (${filePath}); use .json, .yaml or .yml`);
+        }
+
+        this.validate(graph, path.basename(filePath));
+        return graph;
+    }
+
+    /**
+     * Throw with every problem found when the graph is inconsistent
+     */
+    static validate(graph, where = 'navigation graph') {
+        const problems = [];
+        const screens = graph.screens || {};
+        const expandables = graph.expandables || {};
+        const isList = value => Array.isArray(value) && value.length > 0;
+
+        if (!screens[graph.root]) {
+            problems.push(`root "${graph.root}" is not a screen`);
+        }
+        Object.entries(screens).forEach(([id, screen]) => {
+            if (!isList(screen.landmarks)) {
+                problems.push(`screen "${id}" needs at least one landmark`);
+            }
+            if (id === graph.root) {
+                return;
+            }
+            if (!screens[screen.from]) {
+                problems.push(`screen "${id}" is opened from unknown screen "${screen.from}"`);
+            }
+            if (!screen.tap) {
+                problems.push(`screen "${id}" has no "tap" label`);
+            }
+            if (screen.locator) {
+                problems.push(`screen "${id}" has a "locator"; tiles are located by the page object's locator chains`);
+            }
+            (screen.expand || []).filter(name => !expandables[name])
+                .forEach(name => problems.push(`screen "${id}" expands unknown accordion "${name}"`));
+        });
+        Object.entries(expandables).forEach(([id, expandable]) => {
+            if (!screens[expandable.on]) {
+                problems.push(`accordion "${id}" is on unknown screen "${expandable.on}"`);
+            }
+            if (!expandable.tap) {
+                problems.push(`accordion "${id}" has no "tap" label`);
+            }
+            if (!isList(expandable.reveals)) {
+                problems.push(`accordion "${id}" needs at least one revealed label`);
+            }
+            (expandable.expand || []).filter(name => !expandables[name])
+                .forEach(name => problems.push(`accordion "${id}" expands unknown accordion "${name}"`));
+        });
+        expansionCycles(expandables).forEach(cycle => problems.push(`accordions expand each other in a cycle: ${cycle.join(' → ')}`));
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid ${where}:\n  - ${problems.join('\n  - ')}`);
+        }
+    }
+
+    /**
+     * Report name of the generated step for a screen or accordion
+     */
+    static stepName(graph, id) {
+        if (graph.expandables && graph.expandables[id]) {
+            return `${graph.expandables[id].tap} Button Expansion Test`;
+        }
+        const screen = graph.screens[id];
+        if (!screen) {
+            throw new Error(`Unknown screen or accordion "${id}"`);
+        }
+        return `${screen.title || screen.tap} Button Navigation Test`;
+    }
+
+    /**
+     * Scenario steps for the graph: one expansion test per accordion, placed before the
+     * first screen that needs it, and one navigate-and-back test per screen.
+     * Options: page (the page object whose clickSection locates the tiles by screen or
+     * accordion id, e.g. ProductionDataPage), dependsOn (steps every generated step needs,
+     * e.g. app launch), screenshot (takes a named screenshot, e.g.
+     * ProductionDataPage.takeScreenshot) and snapshot (checks the named page-source snapshot
+     * of the screen reached, e.g. PageSnapshot.match).
+     */
+    static generateSteps(graph, { page, dependsOn = [], screenshot = async () => {}, snapshot = async () => {} } = {}) {
+        if (!page) {
+            throw new Error('NavigationGraph.generateSteps needs the page object that navigates the app (options.page)');
+        }
+        const steps = [];
+        const added = new Set();
+        const addExpansion = id => {
+            if (added.has(id)) {
+                return;
+            }
+            // Marked before its own accordions, so a cycle cannot recurse forever
+            added.add(id);
+            (graph.expandables[id].expand || []).forEach(addExpansion);
+            steps.push(this.expansionStep(graph, id, { page, dependsOn, screenshot, snapshot }));
+        };
+
+        Object.entries(graph.screens).forEach(([id, screen]) => {
+            if (id === graph.root) {
+                return;
+            }
+            (screen.expand || []).forEach(addExpansion);
+            steps.push(this.navigationStep(graph, id, { page, dependsOn, screenshot, snapshot }));
+        });
+        Object.keys(graph.expandables || {}).forEach(addExpansion);
+
+        return steps;
+    }
+
+    /**
+     * Tap the accordion and check it stays on its screen and reveals its tiles
+     */
+    static expansionStep(graph, id, { page, dependsOn, screenshot, snapshot }) {
+        const expandable = graph.expandables[id];
+        const parent = graph.screens[expandable.on];
+        const key = snakeCase(id);
+
+        return {
+            name: this.stepName(graph, id),
+            title: `should click ${expandable.tap} button and verify it expands to show ${expandable.reveals.join(' and ')}`,
+            screenshots: [`before_${key}_click`, `after_${key}_expansion`],
+            dependsOn: expandable.expand ? expandable.expand.map(name => this.stepName(graph, name)) : dependsOn,
+            // Accordions toggle: only retry failures raised before the hierarchy changed
+            retry: { retryOn: ['elementNotFound', 'screenUnchanged'] },
+            run: async () => {
+                console.log(`\n=== Testing ${expandable.tap} button expansion ===`);
+                await this.returnTo(graph, expandable.on, page);
+                for (const name of expandable.expand || []) {
+                    await this.ensureExpanded(graph, name, page);
+                }
+
+                await screenshot(`before_${key}_click`);
+                const { after } = await page.clickSection(id);
+                await screenshot(`after_${key}_expansion`);
+
+                this.verifyLandmarks(after, parent.landmarks, `Clicking ${expandable.tap} navigated away from the ${parent.title || expandable.on} screen instead of expanding`);
+                this.verifyLandmarks(after, expandable.reveals, `${expandable.tap} did not expand`);
+                await snapshot(`${expandable.on}_${key}_expanded`);
+                console.log(`✅ ${expandable.tap} button expansion test completed`);
+
+                return `${expandable.tap} expanded successfully. Revealed: ${expandable.reveals.join(', ')}`;
+            }
+        };
+    }
+
+    /**
+     * Open the screen from its parent, check its landmarks and navigate back
+     */
+    static navigationStep(graph, id, { page, dependsOn, screenshot, snapshot }) {
+        const screen = graph.screens[id];
+        const parent = graph.screens[screen.from];
+        const expand = screen.expand || [];
+        const expandLabels = expand.map(name => graph.expandables[name].tap);
+        const key = snakeCase(id);
+
+        return {
+            name: this.stepName(graph, id),
+            title: `should click ${screen.tap} button${expand.length ? ` (after expanding ${expandLabels.join(', ')})` : ''}, verify screen change, and navigate back`,
+            screenshots: [`before_${key}_click`, `after_${key}_click`],
+            dependsOn: expand.length ? expand.map(name => this.stepName(graph, name)) : dependsOn,
+            run: async () => {
+                console.log(`\n=== Testing ${screen.tap} button ===`);
+                // Start from the parent screen, also when an earlier step or attempt failed elsewhere
+                await this.returnTo(graph, screen.from, page);
+                for (const name of expand) {
+                    await this.ensureExpanded(graph, name, page);
+                }
+
+                await screenshot(`before_${key}_click`);
+                const { before, after } = await page.clickSection(id);
+                this.verifyLandmarks(after, screen.landmarks, `Clicking ${screen.tap} did not open the ${screen.title || id} screen`);
+                await screenshot(`after_${key}_click`);
+                await snapshot(`${key}_screen`);
+
+                await page.navigateBack(null);
+                this.verifyLandmarks(await ScreenFingerprint.capture(), parent.landmarks, `Not back on the ${parent.title || screen.from} screen after leaving ${screen.title || id}`);
+                console.log(`✅ ${screen.tap} button test completed`);
+
+                return `${expandLabels.length ? `${expandLabels.join(', ')} expanded, ` : ''}${screen.tap} button clicked, ` +
+                    `screen changed (${before.hash} → ${after.hash}), landmarks found (${screen.landmarks.join(', ')}), and successfully navigated back`;
+            }
+        };
+    }
+
+    /**
+     * Expand an accordion (and the accordions it sits in) unless its tiles are already shown
+     */
+    static async ensureExpanded(graph, id, page) {
+        const expandable = graph.expandables[id];
+        for (const name of expandable.expand || []) {
+            await this.ensureExpanded(graph, name, page);
+        }
+        return await page.ensureExpanded(id, expandable.reveals);
+    }
+
+    /**
+     * Press back until the landmarks of the given screen are shown
+     */
+    static async returnTo(graph, id, page) {
+        const screen = graph.screens[id];
+        return await page.returnToScreen(screen.landmarks, screen.title || id);
+    }
+
+    /**
+     * Throw when any of the landmarks is missing from the fingerprint
+     */
+    static verifyLandmarks(fingerprint, landmarks, message) {
+        const missing = landmarks.filter(label => !fingerprint.landmarks.includes(label));
+        if (missing.length > 0) {
+            throw new Error(`${message}: missing ${missing.join(', ')} on ${ScreenFingerprint.describe(fingerprint)}`);
+        }
+    }
+}
+
+/**
+ * Cycles in the "expand" lists of the accordions, each as the ids along it, e.g. [a, b, a]
+ */
+function expansionCycles(expandables) {
+    const cycles = [];
+    const done = new Set();
+    const visit = (id, trail) => {
+        if (trail.includes(id)) {
+            cycles.push([...trail.slice(trail.indexOf(id)), id]);
+            return;
+        }
+        if (done.has(id) || !expandables[id]) {
+            return;
+        }
+        (expandables[id].expand || []).forEach(name => visit(name, [...trail, id]));
+        done.add(id);
+    };
+    Object.keys(expandables).forEach(id => visit(id, []));
+    return cycles;
+}
+
+function snakeCase(id) {
+    return id.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+}
+
+module.exports = NavigationGraph;
@@ -0,0 +1,333 @@
+/**
+ * Page Object Generator
+ * Turns a captured page-source hierarchy into a page-object class in the
+ * style of ProductionDataPage: one getter per meaningful element, using the
+ * most stable selector that matches exactly that element. The diff compares
+ * the generated getters with an existing page object, element by element.
+ */
+
+const UiHierarchy = require('./UiHierarchy');
+const SelectorLinter = require('./SelectorLinter');
+const ScreenFingerprint = require('./ScreenFingerprint');
+
+// Getter name suffix per element class (last segment of the Android class name)
+const SUFFIXES = {
+    TextView: 'Text',
+    Button: 'Button',
+    ImageButton: 'Button',
+    EditText: 'Input',
+    ImageView: 'Image',
+    ScrollView: 'ScrollView',
+    CheckBox: 'Checkbox',
+    Switch: 'Switch'
+};
+
+// Window chrome added by Android rather than the app
+const FRAMEWORK_IDS = /^android:id\/|:id\/(action_bar_root|content|statusBarBackground|navigationBarBackground)$/;
+
+class PageObjectGenerator {
+
+    /**
+     * Getter definitions for the meaningful elements of a document:
+     * { name, selector, strategy, element, group }
+     */
+    static getters(document) {
+        const names = new Set();
+        const getters = [];
+
+        UiHierarchy.elements(document).filter(element => this.isMeaningful(element)).forEach(element => {
+            const locator = this.locate(document, element);
+            const name = this.uniqueName(this.nameFor(document, element), names);
+            const section = this.sectionOf(element);
+            getters.push({
+                name,
+                ...locator,
+                element,
+                group: section ? `${this.label(section)} Section Elements` : 'Main Screen Elements'
+            });
+        });
+
+        return getters;
+    }
+
+    /**
+     * Elements worth a getter: anything identifiable or interactive. Icon glyphs alone
+     * identify nothing (they change with the icon font), so they get no getter of their own.
+     */
+    static isMeaningful(element) {
+        const resourceId = element.getAttribute('resource-id') || '';
+        if (FRAMEWORK_IDS.test(resourceId) && element.getAttribute('clickable') !== 'true') {
+            return false;
+        }
+        return Boolean(resourceId ||
+            ScreenFingerprint.cleanLabel(element.getAttribute('content-desc')) ||
+            ScreenFingerprint.cleanLabel(element.getAttribute('text')) ||
+            element.getAttribute('clickable') === 'true' ||
+            element.getAttribute('scrollable') === 'true');
+    }
+
+    /**
+     * Most stable selector matching only this element, tried in order:
+     * resource-id, accessibility id, content-desc without icon glyphs, text (unless it is only icon glyphs),
+     * the label inside a clickable container, the class alone, the element
+     * inside its tile, and finally its position
+     */
+    static locate(document, element, { allowPosition = true } = {}) {
+        const className = element.getAttribute('class') || element.nodeName;
+        const resourceId = element.getAttribute('resource-id');
+        const contentDesc = element.getAttribute('content-desc');
+        const cleanDesc = ScreenFingerprint.cleanLabel(contentDesc);
+        // Icon glyphs alone (Private Use Area text) change with the icon font, so they are not matched on
+        const text = ScreenFingerprint.cleanLabel(element.getAttribute('text')) ? element.getAttribute('text') : null;
+        const innerLabel = this.innerLabel(element);
+        // Values containing double quotes cannot be written into these XPath literals
+        const usable = value => Boolean(value) && !value.includes('"');
+
+        const candidates = [
+            usable(resourceId) && { strategy: 'resourceId', selector: `//*[@resource-id="${resourceId}"]` },
+            usable(contentDesc) && contentDesc === cleanDesc && { strategy: 'accessibilityId', selector: `~${contentDesc}` },
+            usable(cleanDesc) && cleanDesc !== contentDesc && { strategy: 'contentDescContains', selector: `//*[contains(@content-desc, "${cleanDesc}")]` },
+            usable(text) && { strategy: 'text', selector: `//${className}[@text="${text}"]` },
+            element.getAttribute('clickable') === 'true' && usable(innerLabel) &&
+                { strategy: 'relativeToLabel', selector: `//*[@text="${innerLabel}"]/ancestor::*[@clickable="true"][1]` },
+            { strategy: 'className', selector: `//${className}` }
+        ].filter(Boolean);
+
+        // Repeated elements (the same icon button in every tile) are located inside their tile
+        const section = this.sectionOf(element);
+        const scope = section && this.locate(document, section, { allowPosition: false });
+        if (scope) {
+            const scopePath = scope.selector.startsWith('~') ? `//*[@content-desc="${scope.selector.slice(1)}"]` : scope.selector;
+            const predicate = usable(resourceId) ? `[@resource-id="${resourceId}"]` : (usable(text) ? `[@text="${text}"]` : '');
+            const inSection = `${scopePath}//${className}${predicate}`;
+            candidates.push({ strategy: 'withinSection', selector: inSection });
+            if (!predicate) {
+                // Nothing to match on (an icon glyph): its place among the tile's elements of that class
+                const index = UiHierarchy.select(document, inSection).indexOf(element) + 1;
+                candidates.push({ strategy: 'withinSection', selector: `(${inSection})[${index}]` });
+            }
+        }
+
+        const unique = candidates.find(candidate => this.matchesOnly(document, candidate.selector, element));
+        if (unique || !allowPosition) {
+            return unique || null;
+        }
+
+        // Positional fallback: breaks when sibling order changes, flagged in the generated code
+        const base = usable(resourceId) ? `//*[@resource-id="${resourceId}"]` : `//${className}`;
+        const index = UiHierarchy.select(document, base).indexOf(element) + 1;
+        return { strategy: 'position', selector: `(${base})[${index}]` };
+    }
+
+    static matchesOnly(document, selector, element) {
+        const matches = SelectorLinter.evaluate(selector, document);
+        return Boolean(matches) && matches.length === 1 && matches[0] === element;
+    }
+
+    /**
+     * First non-icon text inside an element
+     */
+    static innerLabel(element) {
+        const node = UiHierarchy.select(element, './/*[@text!=""]')
+            .find(child => this.isIdentifier(ScreenFingerprint.cleanLabel(child.getAttribute('text'))));
+        return node ? ScreenFingerprint.cleanLabel(node.getAttribute('text')) : null;
+    }
+
+    /**
+     * Human label of an element: content-desc, text or, for clickable containers, the text inside
+     */
+    static label(element) {
+        return [
+            ScreenFingerprint.cleanLabel(element.getAttribute('content-desc')),
+            ScreenFingerprint.cleanLabel(element.getAttribute('text')),
+            element.getAttribute('clickable') === 'true' ? this.innerLabel(element) : null
+        ].find(value => this.isIdentifier(value)) || '';
+    }
+
+    /**
+     * Nearest labelled clickable ancestor, the tile an element belongs to
+     */
+    static sectionOf(element) {
+        let ancestor = UiHierarchy.clickableAncestor(element.parentNode);
+        while (ancestor && !this.label(ancestor)) {
+            ancestor = UiHierarchy.clickableAncestor(ancestor.parentNode);
+        }
+        return ancestor;
+    }
+
+    static suffixFor(element) {
+        const className = (element.getAttribute('class') || element.nodeName).split('.').pop();
+        if (SUFFIXES[className]) {
+            return SUFFIXES[className];
+        }
+        if (element.getAttribute('clickable') === 'true') {
+            return 'Section';
+        }
+        return 'Container';
+    }
+
+    /**
+     * Getter name: camelCase resource-id as is, otherwise the label plus a class suffix.
+     * Unlabelled elements inside a tile are named after the tile.
+     */
+    static nameFor(document, element) {
+        const suffix = this.suffixFor(element);
+        const section = this.sectionOf(element);
+        const resourceId = element.getAttribute('resource-id') || '';
+        const idName = resourceId.split('/').pop();
+        if (this.isIdentifier(idName)) {
+            // An id repeated in every tile is prefixed with the tile (harvestingIconButton)
+            const repeated = UiHierarchy.elements(document).filter(node => node.getAttribute('resource-id') === resourceId).length > 1;
+            return repeated && section ? camelCase(`${this.label(section)} ${idName}`) : camelCase(idName);
+        }
+
+        const label = this.label(element);
+        if (label) {
+            return camelCase(label) + suffix;
+        }
+
+        if (section) {
+            return camelCase(this.label(section)) + suffix;
+        }
+        return suffix.charAt(0).toLowerCase() + suffix.slice(1);
+    }
+
+    static uniqueName(name, names) {
+        let unique = name;
+        for (let counter = 2; names.has(unique); counter++) {
+            unique = `${name}${counter}`;
+        }
+        names.add(unique);
+        return unique;
+    }
+
+    static isIdentifier(value) {
+        return Boolean(value) && /[A-Za-z]/.test(value);
+    }
+
+    /**
+     * Page-object source code for a document
+     */
+    static generate(document, { className = 'GeneratedPage', source = 'a captured hierarchy' } = {}) {
+        const groups = new Map();
+        this.getters(document).forEach(getter => {
+            if (!groups.has(getter.group)) {
+                groups.set(getter.group, []);
+            }
+            groups.get(getter.group).push(getter);
+        });
+
+        const body = Array.from(groups.entries()).map(([group, getters]) => {
+            const methods = getters.map(getter => [
+                ...(SelectorLinter.isIndexFragile(getter.selector) ? ['    // Positional selector: no stable attribute identifies this element'] : []),
+                `    get ${getter.name}() {`,
+                `        return $('${getter.selector.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}');`,
+                '    }'
+            ].join('\n'));
+            return `    // ${group}\n${methods.join('\n\n')}`;
+        }).join('\n\n');
+
+        return `/**
+ * ${className} Page Object
+ * Generated from ${source} by generate-page-object.js
+ */
+
+class ${className} {
+
+${body}
+}
+
+module.exports = new ${className}();
+`;
+    }
+
+    /**
+     * Compare generated getters with an existing page object on the same hierarchy.
+     * Getters are paired by name or, failing that, by the element they match.
+     * Returns { added, changed, removed, unchanged, unchecked }.
+     */
+    static diff(document, pageObject) {
+        const generated = this.getters(document);
+        const existing = this.existingGetters(pageObject, document);
+        const result = { added: [], changed: [], removed: [], unchanged: [], unchecked: [] };
+        const paired = new Set();
+
+        generated.forEach(getter => {
+            const match = existing.find(entry => entry.name === getter.name && !paired.has(entry.name)) ||
+                existing.find(entry => entry.element === getter.element && !paired.has(entry.name));
+            if (!match) {
+                result.added.push({ name: getter.name, selector: getter.selector });
+                return;
+            }
+            paired.add(match.name);
+            if (match.selectors.includes(getter.selector)) {
+                result.unchanged.push({ name: match.name, selector: getter.selector });
+            } else {
+                result.changed.push({ name: match.name, from: match.selectors[0], to: getter.selector, generatedName: getter.name });
+            }
+        });
+
+        existing.filter(entry => !paired.has(entry.name)).forEach(entry => {
+            if (entry.element === undefined) {
+                result.unchecked.push({ name: entry.name, selector: entry.selectors[0] });
+            } else if (entry.element === null) {
+                result.removed.push({ name: entry.name, selector: entry.selectors[0] });
+            } else {
+                result.unchanged.push({ name: entry.name, selector: entry.selectors[0] });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Single-element getters of a page object with the element they match in the document:
+     * null when nothing matches, undefined when the selector cannot be evaluated offline.
+     * Locator chains count as one getter matching through their first working strategy.
+     */
+    static existingGetters(pageObject, document) {
+        const byName = new Map();
+        SelectorLinter.collectSelectors(pageObject).filter(entry => !entry.multiple).forEach(entry => {
+            if (!byName.has(entry.getter)) {
+                byName.set(entry.getter, { name: entry.getter, selectors: [], element: null });
+            }
+            const getter = byName.get(entry.getter);
+            getter.selectors.push(entry.selector);
+
+            const matches = SelectorLinter.evaluate(entry.selector, document);
+            if (matches === null) {
+                getter.element = getter.element || undefined;
+            } else if (matches.length > 0 && !getter.element) {
+                getter.element = matches[0];
+            }
+        });
+        return Array.from(byName.values());
+    }
+
+    /**
+     * Render a diff as console text
+     */
+    static formatDiff(pageName, diff) {
+        const lines = [`\n📋 ${pageName}`];
+        diff.changed.forEach(entry => {
+            lines.push(`  ~ ${entry.name}: ${entry.from}`);
+            lines.push(`  ${' '.repeat(entry.name.length + 4)}→ ${entry.to}${entry.generatedName !== entry.name ? ` (generated as ${entry.generatedName})` : ''}`);
+        });
+        diff.added.forEach(entry => lines.push(`  + ${entry.name}: ${entry.selector}`));
+        diff.removed.forEach(entry => lines.push(`  - ${entry.name}: ${entry.selector} (matches nothing)`));
+        diff.unchecked.forEach(entry => lines.push(`  ? ${entry.name}: ${entry.selector} (cannot be evaluated offline)`));
+        lines.push(`  ${diff.changed.length} changed, ${diff.added.length} new, ${diff.removed.length} stale, ${diff.unchanged.length} unchanged`);
+        return lines.join('\n');
+    }
+}
+
+function camelCase(value) {
+    const words = value.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    const name = words.map((word, index) => {
+        const lower = word.toLowerCase();
+        return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+    }).join('');
+    return /^[0-9]/.test(name) ? `element${name}` : name;
+}
+
+module.exports = PageObjectGenerator;
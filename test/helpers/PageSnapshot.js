@@ -0,0 +1,182 @@
+/**
+ * Page Snapshot
+ * Golden page-source snapshots: a step saves the normalized page source of the
+ * screen it is on and compares it with the committed golden file in
+ * test/snapshots/<device profile>/<name>.xml. Volatile attributes (focus,
+ * drawing order) are stripped and bounds are compared with a tolerance, so
+ * only real UI changes fail the step, with a structural diff in the error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const UiHierarchy = require('./UiHierarchy');
+const HierarchyDiff = require('./HierarchyDiff');
+const DeviceProfiles = require('./DeviceProfiles');
+const RunOutput = require('./RunOutput');
+
+// Attributes that change between runs without the UI changing
+const VOLATILE_ATTRIBUTES = ['focused', 'a11y-focused', 'drawing-order'];
+
+// Compared through HierarchyDiff (labels and bounds) rather than attribute by attribute
+const DIFFED_ATTRIBUTES = ['bounds', 'text', 'content-desc'];
+
+class PageSnapshot {
+
+    /**
+     * Run-wide settings: --update-snapshots / UPDATE_SNAPSHOTS=1 accepts the current
+     * screens as the new goldens (and is the only way to create missing ones), --no-snapshots / PAGE_SNAPSHOTS=0 turns the checks off,
+     * SNAPSHOT_TOLERANCE (px, default 2) and SNAPSHOT_DIR override the comparison
+     */
+    static options({ argv = process.argv, env = process.env } = {}) {
+        const isSet = value => ['1', 'true'].includes(String(value).toLowerCase());
+        const isUnset = value => ['0', 'false'].includes(String(value).toLowerCase());
+        const tolerance = Number(env.SNAPSHOT_TOLERANCE);
+
+        return {
+            update: argv.includes('--update-snapshots') || isSet(env.UPDATE_SNAPSHOTS),
+            enabled: !argv.includes('--no-snapshots') && !isUnset(env.PAGE_SNAPSHOTS),
+            tolerance: env.SNAPSHOT_TOLERANCE === undefined || isNaN(tolerance) ? 2 : tolerance,
+            // Screen sizes differ per device, so every device profile has its own goldens
+            directory: env.SNAPSHOT_DIR || path.join('test', 'snapshots', DeviceProfiles.resolve({ argv, env }).device.name),
+            outputDirectory: RunOutput.path('snapshots')
+        };
+    }
+
+    /**
+     * Page source with volatile attributes and whitespace removed, one element per line
+     */
+    static normalize(xml, { ignoreAttributes = [] } = {}) {
+        const ignored = new Set([...VOLATILE_ATTRIBUTES, ...ignoreAttributes]);
+        const render = (node, depth) => {
+            const attributes = Object.entries(UiHierarchy.attributes(node))
+                .filter(([name]) => !ignored.has(name))
+                .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+                .join('');
+            const indent = '  '.repeat(depth);
+            const children = UiHierarchy.children(node);
+            if (children.length === 0) {
+                return `${indent}<${node.nodeName}${attributes} />`;
+            }
+            return [`${indent}<${node.nodeName}${attributes}>`]
+                .concat(children.map(child => render(child, depth + 1)), `${indent}</${node.nodeName}>`)
+                .join('\n');
+        };
+
+        const document = UiHierarchy.parse(xml);
+        return `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>\n${render(document.documentElement, 0)}\n`;
+    }
+
+    /**
+     * Compare a golden page source with the current one. Identified elements are diffed with
+     * HierarchyDiff (bounds within the tolerance are equal), their other attributes one by one,
+     * and the nesting of all elements (including anonymous layouts) as an outline.
+     */
+    static compare(goldenXml, actualXml, { tolerance = 2, ignoreAttributes = [] } = {}) {
+        const golden = UiHierarchy.parse(this.normalize(goldenXml, { ignoreAttributes }));
+        const actual = UiHierarchy.parse(this.normalize(actualXml, { ignoreAttributes }));
+
+        const diff = HierarchyDiff.diff(golden, actual, { tolerance });
+        const actualByKey = new Map(HierarchyDiff.entries(actual).map(entry => [entry.key, entry]));
+        const attributeChanges = [];
+        HierarchyDiff.entries(golden).forEach(entry => {
+            const match = actualByKey.get(entry.key);
+            if (!match) {
+                return;
+            }
+            const before = UiHierarchy.attributes(entry.element);
+            const after = UiHierarchy.attributes(match.element);
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+                if (!DIFFED_ATTRIBUTES.includes(name) && before[name] !== after[name]) {
+                    attributeChanges.push({ key: entry.key, attribute: name, before: before[name], after: after[name] });
+                }
+            });
+        });
+        const layoutChanged = outline(golden.documentElement) !== outline(actual.documentElement);
+
+        return {
+            matches: HierarchyDiff.changeCount(diff) === 0 && attributeChanges.length === 0 && !layoutChanged,
+            diff,
+            attributeChanges,
+            layoutChanged
+        };
+    }
+
+    /**
+     * Render a mismatch as console/error text
+     */
+    static formatMismatch(name, comparison) {
+        const lines = [];
+        if (HierarchyDiff.changeCount(comparison.diff) > 0) {
+            lines.push(HierarchyDiff.formatDiff(comparison.diff, { beforeName: `golden ${name}`, afterName: 'current screen' }).trim());
+        }
+        comparison.attributeChanges.forEach(change => {
+            lines.push(`  ! ${change.attribute.padEnd(8)} ${change.key}: "${change.before ?? ''}" → "${change.after ?? ''}"`);
+        });
+        if (comparison.layoutChanged) {
+            lines.push('  ! layout   the nesting of layout containers changed');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Save the current page source as snapshots/<name>.xml in the run directory and compare
+     * it with its golden file. A missing golden throws, and a mismatch throws with the structural
+     * diff; only --update-snapshots writes goldens, so a run without them never passes unchecked.
+     */
+    static async match(name, { ignoreAttributes = [], options = this.options() } = {}) {
+        if (!options.enabled) {
+            return null;
+        }
+
+        const current = this.normalize(await browser.getPageSource(), { ignoreAttributes });
+        fs.mkdirSync(options.outputDirectory, { recursive: true });
+        fs.writeFileSync(path.join(options.outputDirectory, `${name}.xml`), current);
+
+        const goldenPath = path.join(options.directory, `${name}.xml`);
+        if (!fs.existsSync(goldenPath)) {
+            if (!options.update) {
+                throw new Error(`Missing golden ${goldenPath} for page snapshot "${name}" (run with --update-snapshots to create it from this screen)`);
+            }
+            this.write(goldenPath, current);
+            console.log(`📸 New page snapshot written: ${goldenPath}`);
+            return { name, status: 'written' };
+        }
+
+        const comparison = this.compare(fs.readFileSync(goldenPath, 'utf8'), current, { tolerance: options.tolerance, ignoreAttributes });
+        if (comparison.matches) {
+            console.log(`✅ Page snapshot "${name}" matches`);
+            return { name, status: 'matched' };
+        }
+        if (options.update) {
+            this.write(goldenPath, current);
+            console.log(`📸 Page snapshot updated: ${goldenPath}\n${this.formatMismatch(name, comparison)}`);
+            return { name, status: 'updated' };
+        }
+
+        throw new Error(`Page source does not match snapshot ${goldenPath} (run with --update-snapshots to accept the change):\n${this.formatMismatch(name, comparison)}`);
+    }
+
+    static write(goldenPath, xml) {
+        fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+        fs.writeFileSync(goldenPath, xml);
+    }
+}
+
+/**
+ * Class names of all elements with their nesting, without any attributes
+ */
+function outline(node, depth = 0) {
+    return [`${'  '.repeat(depth)}${node.getAttribute('class') || node.nodeName}`]
+        .concat(UiHierarchy.children(node).map(child => outline(child, depth + 1)))
+        .join('\n');
+}
+
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;');
+}
+
+module.exports = PageSnapshot;
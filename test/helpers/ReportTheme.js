@@ -0,0 +1,124 @@
+/**
+ * Report Theme
+ * Branding and colours of the HTML report. A theme is a JSON file: "brand"
+ * (icon, title, subtitle, logo, company, footer), "colors" (CSS variables used
+ * by the report styles), and optionally "extends" (a theme it builds on),
+ * "darkTheme" (a theme whose colours apply when the viewer prefers a dark
+ * colour scheme), "colorScheme" (for form controls), "stylesheet" (extra
+ * CSS) and "templates" (a directory of template overrides). Built-in themes
+ * live in test/report/themes: default, dark and auto (light or dark
+ * following the viewer's system setting).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const THEMES_DIR = path.join(__dirname, '..', 'report', 'themes');
+
+const MIME_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml', '.gif': 'image/gif' };
+
+class ReportTheme {
+
+    /**
+     * --report-theme / REPORT_THEME: a built-in theme name or the path of a theme file
+     * (default "default"); --report-templates / REPORT_TEMPLATES: a directory of template
+     * overrides, searched before the theme's and the default templates
+     */
+    static options({ argv = process.argv, env = process.env } = {}) {
+        const flag = name => {
+            const index = argv.indexOf(name);
+            return index !== -1 ? argv[index + 1] : undefined;
+        };
+
+        return {
+            theme: flag('--report-theme') || env.REPORT_THEME || 'default',
+            templates: flag('--report-templates') || env.REPORT_TEMPLATES || null
+        };
+    }
+
+    /**
+     * Names of the built-in themes
+     */
+    static builtIn() {
+        return fs.readdirSync(THEMES_DIR).filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+    }
+
+    /**
+     * Load a theme by name or path and merge it over the themes it extends. Paths in a
+     * theme (logo, stylesheet, templates) are relative to its file.
+     */
+    static load(nameOrPath = 'default', seen = []) {
+        const file = this.resolveFile(nameOrPath);
+        if (seen.includes(file)) {
+            throw new Error(`Report theme ${file} extends itself: ${[...seen, file].join(' → ')}`);
+        }
+
+        const theme = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const relative = value => (/^(data:|https?:)/.test(value) ? value : path.resolve(path.dirname(file), value));
+        const parent = theme.extends ?
+            this.load(theme.extends, [...seen, file]) :
+            { colorScheme: 'light', brand: {}, colors: {}, darkColors: null, stylesheets: [], templates: null };
+
+        const brand = { ...parent.brand, ...theme.brand };
+        if (theme.brand && theme.brand.logo) {
+            brand.logo = relative(theme.brand.logo);
+        }
+        return {
+            name: theme.name || path.basename(file, '.json'),
+            colorScheme: theme.colorScheme || parent.colorScheme,
+            brand,
+            colors: { ...parent.colors, ...theme.colors },
+            darkColors: theme.darkTheme ? this.load(theme.darkTheme, [...seen, file]).colors : parent.darkColors,
+            // Stylesheets add up along the chain, the most specific last
+            stylesheets: [...parent.stylesheets, ...(theme.stylesheet ? [relative(theme.stylesheet)] : [])],
+            templates: theme.templates ? relative(theme.templates) : parent.templates
+        };
+    }
+
+    /**
+     * Theme file of a built-in name or a path
+     */
+    static resolveFile(nameOrPath) {
+        const builtIn = path.join(THEMES_DIR, `${nameOrPath}.json`);
+        if (!/[\\/]|\.json$/.test(nameOrPath) && fs.existsSync(builtIn)) {
+            return builtIn;
+        }
+        if (fs.existsSync(nameOrPath)) {
+            return path.resolve(nameOrPath);
+        }
+        throw new Error(`Unknown report theme "${nameOrPath}". Built-in: ${this.builtIn().join(', ')}; or pass the path of a theme file`);
+    }
+
+    /**
+     * CSS custom properties of the theme's colours (headerStart → --header-start), the dark
+     * variants under prefers-color-scheme, then the theme's stylesheets
+     */
+    static toCss(theme) {
+        const variables = colors => Object.entries(colors)
+            .map(([name, value]) => `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${value};`)
+            .join(' ');
+
+        return [
+            `:root { ${variables(theme.colors)} }`,
+            theme.darkColors ? `@media (prefers-color-scheme: dark) { :root { ${variables(theme.darkColors)} } }` : null,
+            ...theme.stylesheets.map(file => fs.readFileSync(file, 'utf8'))
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * The brand logo as a data URI, so the report stays a single file (null without a logo)
+     */
+    static logoSource(theme) {
+        const logo = theme.brand.logo;
+        if (!logo || /^(data:|https?:)/.test(logo)) {
+            return logo || null;
+        }
+        const mimeType = MIME_TYPES[path.extname(logo).toLowerCase()];
+        if (!mimeType) {
+            throw new Error(`Unsupported logo format: ${logo} (use ${Object.keys(MIME_TYPES).join(', ')})`);
+        }
+        return `data:${mimeType};base64,${fs.readFileSync(logo).toString('base64')}`;
+    }
+}
+
+module.exports = ReportTheme;
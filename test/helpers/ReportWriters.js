@@ -0,0 +1,249 @@
+/**
+ * Report Writers
+ * Output formats of the test report, each rendered from the same testResults
+ * object: the HTML report, the raw JSON results, JUnit XML for CI dashboards,
+ * a Markdown summary for release notes and a CSV table of the steps. The
+ * formats written are chosen with --report-formats / REPORT_FORMATS; more
+ * writers can be added with register().
+ */
+
+const fs = require('fs');
+const Duration = require('./Duration');
+
+const DEFAULT_FORMATS = ['html', 'json'];
+
+// Writers by format name; render(testResults) returns the file content
+const writers = {
+    html: {
+        file: 'comprehensive_test_report.html',
+        label: 'HTML Report',
+        icon: '📄',
+        // Required lazily: TestReportGenerator writes the reports through this module
+        render: testResults => require('./TestReportGenerator').generateHtmlContent(testResults)
+    },
+    json: {
+        file: 'test_results.json',
+        label: 'JSON Results',
+        icon: '📊',
+        render: testResults => JSON.stringify(testResults, null, 2)
+    },
+    junit: {
+        file: 'junit.xml',
+        label: 'JUnit XML',
+        icon: '🧾',
+        render: testResults => ReportWriters.toJUnit(testResults)
+    },
+    markdown: {
+        file: 'summary.md',
+        label: 'Markdown Summary',
+        icon: '📝',
+        render: testResults => ReportWriters.toMarkdown(testResults)
+    },
+    csv: {
+        file: 'test_results.csv',
+        label: 'CSV Results',
+        icon: '📋',
+        render: testResults => ReportWriters.toCsv(testResults)
+    }
+};
+
+class ReportWriters {
+
+    /**
+     * --report-formats / REPORT_FORMATS: comma-separated format names or "all"
+     * (default html,json)
+     */
+    static options({ argv = process.argv, env = process.env } = {}) {
+        const index = argv.indexOf('--report-formats');
+        const value = index !== -1 ? argv[index + 1] : env.REPORT_FORMATS;
+        if (!value) {
+            return { formats: DEFAULT_FORMATS.slice() };
+        }
+
+        const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+        if (formats.includes('all')) {
+            return { formats: Object.keys(writers) };
+        }
+        const unknown = formats.filter(format => !writers[format]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown report format(s): ${unknown.join(', ')}. Available: ${Object.keys(writers).join(', ')}, all`);
+        }
+        return { formats: Array.from(new Set(formats)) };
+    }
+
+    /**
+     * Add or replace a writer: { file, label, icon, render(testResults) }
+     */
+    static register(format, writer) {
+        writers[format] = writer;
+    }
+
+    static get(format) {
+        return writers[format] || null;
+    }
+
+    static formats() {
+        return Object.keys(writers);
+    }
+
+    /**
+     * Write the selected formats with pathFor(file) as the target of each file.
+     * Returns { format: path } of the files written.
+     */
+    static writeAll(testResults, pathFor, { formats = this.options().formats } = {}) {
+        const written = {};
+        formats.forEach(format => {
+            const writer = writers[format];
+            const filePath = pathFor(writer.file);
+            fs.writeFileSync(filePath, writer.render(testResults));
+            console.log(`${writer.icon} ${writer.label}: ${filePath}`);
+            written[format] = filePath;
+        });
+        return written;
+    }
+
+    /**
+     * JUnit XML: one testsuite for the run, one testcase per step. Retried steps that
+     * passed keep their failed attempts as flakyFailure elements, which Jenkins and
+     * GitLab show as flaky.
+     */
+    static toJUnit(testResults) {
+        const tests = testResults.tests;
+        const count = status => tests.filter(test => test.status === status).length;
+        const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+        const suiteDuration = testResults.endTime && testResults.startTime ?
+            new Date(testResults.endTime) - new Date(testResults.startTime) :
+            tests.reduce((sum, test) => sum + (test.duration || 0), 0);
+        const suiteName = xmlAttribute(testResults.suiteName || 'Test Suite');
+        const run = testResults.run || {};
+        const properties = Object.entries({ runId: run.id, device: run.device, app: run.app, apkVersion: run.apkVersion })
+            .filter(([, value]) => value !== undefined)
+            .map(([name, value]) => `\n            <property name="${name}" value="${xmlAttribute(value)}"/>`)
+            .join('');
+
+        const cases = tests.map(test => {
+            const body = [];
+            if (test.status === 'skipped') {
+                body.push(`<skipped message="${xmlAttribute(test.reason || 'Skipped')}"/>`);
+            } else if (test.status !== 'passed') {
+                const message = (test.error || 'Failed').split('\n')[0];
+                body.push(`<failure message="${xmlAttribute(message)}" type="${xmlAttribute(lastErrorClass(test.attempts))}">${xmlText(test.error || '')}</failure>`);
+            } else if (test.flaky) {
+                test.attempts.filter(attempt => attempt.status === 'failed').forEach(attempt => {
+                    body.push(`<flakyFailure message="${xmlAttribute((attempt.error || '').split('\n')[0])}" type="${xmlAttribute(attempt.errorClass || 'Error')}">${xmlText(attempt.error || '')}</flakyFailure>`);
+                });
+            }
+            const diagnosticFiles = test.diagnostics ? Object.values(test.diagnostics.files) : [];
+            const output = [test.details, ...[...(test.screenshotFiles || []).map(capture => capture.path), ...diagnosticFiles].map(file => `[[ATTACHMENT|${file}]]`)].filter(Boolean);
+            if (output.length > 0) {
+                body.push(`<system-out>${xmlText(output.join('\n'))}</system-out>`);
+            }
+            const open = `<testcase name="${xmlAttribute(test.name)}" classname="${suiteName}" time="${seconds(test.duration)}"`;
+            return body.length > 0 ?
+                `\n        ${open}>\n            ${body.join('\n            ')}\n        </testcase>` :
+                `\n        ${open}/>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${suiteName}" tests="${tests.length}" failures="${tests.length - count('passed') - count('skipped')}" skipped="${count('skipped')}" time="${seconds(suiteDuration)}">
+    <testsuite name="${suiteName}" tests="${tests.length}" failures="${tests.length - count('passed') - count('skipped')}" errors="0" skipped="${count('skipped')}" time="${seconds(suiteDuration)}" timestamp="${xmlAttribute(testResults.startTime || '')}">${properties ? `
+        <properties>${properties}
+        </properties>` : ''}${cases}
+    </testsuite>
+</testsuites>
+`;
+    }
+
+    /**
+     * Markdown summary: run details, the summary counts, one table row per step and
+     * the errors of failed steps
+     */
+    static toMarkdown(testResults) {
+        const summary = testResults.summary;
+        const run = testResults.run;
+        const icon = test => ({ passed: test.flaky ? '⚠️' : '✅', skipped: '⏭️' }[test.status] || '❌');
+        const duration = testResults.endTime && testResults.startTime ?
+            Duration.format(new Date(testResults.endTime) - new Date(testResults.startTime)) : '—';
+
+        const lines = [
+            `# ${testResults.suiteName || 'Test Report'}`,
+            '',
+            run ? `Run \`${run.id}\` on ${run.device} / ${run.app}, APK ${run.apkVersion}  ` : null,
+            `${new Date(testResults.startTime).toLocaleString()} · ${duration}`,
+            '',
+            '| Total | Passed | Failed | Skipped | Flaky | Success rate |',
+            '|---:|---:|---:|---:|---:|---:|',
+            `| ${summary.total} | ${summary.passed} | ${summary.failed} | ${summary.skipped || 0} | ${summary.flaky || 0} | ${summary.successRate.toFixed(1)}% |`,
+            '',
+            '| | Step | Duration | Attempts | Notes |',
+            '|---|---|---:|---:|---|',
+            ...testResults.tests.map(test => {
+                const notes = test.status === 'skipped' ? test.reason : test.error ? test.error.split('\n')[0] : test.flaky ? 'passed after a retry' : '';
+                return `| ${icon(test)} | ${markdownCell(test.name)} | ${Duration.format(test.duration)} | ${test.attempts ? test.attempts.length : 1} | ${markdownCell(notes || '')} |`;
+            })
+        ].filter(line => line !== null);
+
+        const failed = testResults.tests.filter(test => test.status !== 'passed' && test.status !== 'skipped');
+        if (failed.length > 0) {
+            lines.push('', '## Failures');
+            failed.forEach(test => {
+                lines.push('', `### ${test.name}`, '', '```', test.error || 'Failed', '```');
+                if (test.diagnostics) {
+                    lines.push('', `Diagnostics: \`${test.diagnostics.dir}\``);
+                }
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * CSV (RFC 4180), one row per step
+     */
+    static toCsv(testResults) {
+        const header = ['name', 'status', 'duration_ms', 'attempts', 'flaky', 'error', 'reason', 'screenshots'];
+        const rows = testResults.tests.map(test => [
+            test.name,
+            test.status,
+            test.duration || 0,
+            test.attempts ? test.attempts.length : 1,
+            Boolean(test.flaky),
+            test.error || '',
+            test.reason || '',
+            (test.screenshotFiles || []).map(capture => capture.path).join(';')
+        ]);
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+}
+
+function lastErrorClass(attempts = []) {
+    const failed = attempts.filter(attempt => attempt.status === 'failed');
+    return failed.length > 0 && failed[failed.length - 1].errorClass ? failed[failed.length - 1].errorClass : 'Error';
+}
+
+// Characters XML 1.0 does not allow, e.g. terminal escape codes in error messages
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function xmlText(value) {
+    return String(value)
+        .replace(INVALID_XML, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function xmlAttribute(value) {
+    return xmlText(value)
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;');
+}
+
+function markdownCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\r?\n/g, ' ');
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = ReportWriters;
@@ -0,0 +1,124 @@
+/**
+ * Retry Policy
+ * Re-runs a test step when it fails with a transient error (element not
+ * found, stale element, timeout, screen not changing yet), waiting with
+ * exponential backoff in between. Every attempt is recorded so the report
+ * can flag steps that only passed after retrying as flaky.
+ */
+
+// Error classes, matched case-insensitively against the error name and message
+const ERROR_CLASSES = {
+    elementNotFound: ['no such element', 'matched no strategy', 'could not be located', 'still not existing'],
+    staleElement: ['stale element reference'],
+    notInteractable: ['element not interactable', 'element click intercepted', 'not displayed'],
+    timeout: ['timeout', 'timed out', 'did not load within'],
+    screenUnchanged: ['screen did not change', 'screen did not settle', 'had no effect']
+};
+
+const DEFAULT_POLICY = {
+    retries: 0,
+    backoff: 1000,
+    factor: 2,
+    retryOn: ['elementNotFound', 'staleElement', 'notInteractable', 'timeout', 'screenUnchanged']
+};
+
+class RetryPolicy {
+
+    static get errorClasses() {
+        return Object.keys(ERROR_CLASSES);
+    }
+
+    /**
+     * Run-wide defaults: --retries N / STEP_RETRIES and --retry-backoff MS / STEP_RETRY_BACKOFF
+     */
+    static defaults({ argv = process.argv, env = process.env } = {}) {
+        const flag = name => {
+            const index = argv.indexOf(name);
+            return index !== -1 ? argv[index + 1] : undefined;
+        };
+        const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+
+        return {
+            ...DEFAULT_POLICY,
+            retries: number(flag('--retries') ?? env.STEP_RETRIES, DEFAULT_POLICY.retries),
+            backoff: number(flag('--retry-backoff') ?? env.STEP_RETRY_BACKOFF, DEFAULT_POLICY.backoff)
+        };
+    }
+
+    /**
+     * Merge a step's own settings over the run-wide defaults
+     */
+    static resolve(stepPolicy = {}, defaults = this.defaults()) {
+        const policy = { ...defaults, ...stepPolicy };
+        const unknown = policy.retryOn.filter(name => !ERROR_CLASSES[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown retry error class(es): ${unknown.join(', ')}. Available: ${this.errorClasses.join(', ')}`);
+        }
+        return policy;
+    }
+
+    /**
+     * Name of the retryable error class the error belongs to, or null
+     */
+    static classify(error, policy) {
+        const text = `${error.name || ''} ${error.message || ''}`.toLowerCase();
+        return policy.retryOn.find(name => ERROR_CLASSES[name].some(pattern => text.includes(pattern))) || null;
+    }
+
+    static delay(attempt, policy) {
+        return Math.round(policy.backoff * Math.pow(policy.factor, attempt - 1));
+    }
+
+    /**
+     * Run an action under a policy. Resolves with { result, attempts }; on final
+     * failure the thrown error carries the attempts as error.attempts.
+     * beforeRetry runs before every retry to bring the app back to a known state.
+     */
+    static async run(action, policy = this.resolve(), { name = 'step', beforeRetry } = {}) {
+        const attempts = [];
+
+        for (let attempt = 1; ; attempt++) {
+            const started = Date.now();
+            try {
+                const result = await action(attempt);
+                attempts.push({ attempt, status: 'passed', startTime: new Date(started).toISOString(), duration: Date.now() - started });
+                if (attempt > 1) {
+                    console.log(`🔁 ${name} passed on attempt ${attempt} of ${policy.retries + 1} (flaky)`);
+                }
+                return { result, attempts };
+            } catch (error) {
+                const errorClass = this.classify(error, policy);
+                attempts.push({ attempt, status: 'failed', startTime: new Date(started).toISOString(), duration: Date.now() - started, error: error.message, errorClass });
+
+                if (attempt > policy.retries || !errorClass) {
+                    error.attempts = attempts;
+                    throw error;
+                }
+
+                const wait = this.delay(attempt, policy);
+                console.log(`🔁 ${name} failed on attempt ${attempt} (${errorClass}), retrying in ${wait}ms: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, wait));
+                if (beforeRetry) {
+                    try {
+                        await beforeRetry();
+                    } catch (recoveryError) {
+                        console.log(`Could not reset state before retrying ${name}: ${recoveryError.message}`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Fields recorded on a test result: every attempt, and flaky when it only passed after retrying
+     */
+    static summarize(attempts = []) {
+        const passed = attempts.length > 0 && attempts[attempts.length - 1].status === 'passed';
+        return {
+            attempts,
+            flaky: passed && attempts.length > 1
+        };
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,322 @@
+/**
+ * Run Comparison
+ * Compares the results of two runs, typically the last green run and a
+ * failing release candidate: steps that newly fail or newly pass, duration
+ * deltas per step, and the screenshots of both runs side by side, paired by
+ * step and logical name, with the share of pixels that differ.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const RunOutput = require('./RunOutput');
+const VisualRegression = require('./VisualRegression');
+const HtmlTemplate = require('./HtmlTemplate');
+const Duration = require('./Duration');
+
+const { html } = HtmlTemplate;
+
+class RunComparison {
+
+    /**
+     * Load the results of a run given as a test_results.json file, a run directory, a run ID,
+     * "latest", or "last-passed" (the newest passed run started before the run in `before`)
+     */
+    static load(reference, { root = RunOutput.options().root, before = null } = {}) {
+        let file = null;
+        if (reference === 'last-passed') {
+            const run = RunOutput.listRuns(root).find(candidate =>
+                candidate.status === 'passed' && (!before || (candidate.id !== before.id && candidate.startTime < before.startTime)));
+            if (!run) {
+                throw new Error(`No passed run${before ? ` before ${before.id}` : ''} in ${root}`);
+            }
+            file = path.join(run.dir, 'test_results.json');
+        } else if (reference === 'latest') {
+            const latestPath = path.join(root, 'latest.json');
+            if (!fs.existsSync(latestPath)) {
+                throw new Error(`No latest run in ${root}`);
+            }
+            file = path.join(JSON.parse(fs.readFileSync(latestPath, 'utf8')).dir, 'test_results.json');
+        } else if (fs.existsSync(reference) && fs.statSync(reference).isFile()) {
+            file = reference;
+        } else if (fs.existsSync(reference)) {
+            file = path.join(reference, 'test_results.json');
+        } else {
+            file = path.join(root, reference, 'test_results.json');
+        }
+
+        if (!fs.existsSync(file)) {
+            throw new Error(`No test results for "${reference}" (looked for ${file})`);
+        }
+        const results = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const run = results.run || {};
+        return {
+            id: run.id || path.basename(path.dirname(path.resolve(file))),
+            label: run.id || file,
+            file,
+            startTime: results.startTime,
+            results
+        };
+    }
+
+    /**
+     * Compare two loaded runs. A duration change counts as significant when it is at least
+     * minDelta ms and minDeltaRatio of the baseline duration.
+     */
+    static compare(baseline, candidate, { minDelta = 1000, minDeltaRatio = 0.2, screenshots = true, threshold = 0.001, masksFile = null } = {}) {
+        const beforeByName = new Map(baseline.results.tests.map(test => [test.name, test]));
+        const afterByName = new Map(candidate.results.tests.map(test => [test.name, test]));
+
+        const steps = [];
+        candidate.results.tests.forEach(test => steps.push(this.compareStep(beforeByName.get(test.name), test, { minDelta, minDeltaRatio })));
+        baseline.results.tests
+            .filter(test => !afterByName.has(test.name))
+            .forEach(test => steps.push(this.compareStep(test, undefined, { minDelta, minDeltaRatio })));
+
+        const changeOf = name => steps.filter(step => step.change === name);
+        const runDuration = results => (results.endTime && results.startTime ? new Date(results.endTime) - new Date(results.startTime) : null);
+
+        return {
+            baseline: describeRun(baseline),
+            candidate: describeRun(candidate),
+            newlyFailing: changeOf('newly-failing'),
+            newlyPassing: changeOf('newly-passing'),
+            stillFailing: changeOf('still-failing'),
+            added: changeOf('added'),
+            removed: changeOf('removed'),
+            otherChanges: changeOf('changed'),
+            slower: steps.filter(step => step.significant && step.delta > 0),
+            faster: steps.filter(step => step.significant && step.delta < 0),
+            steps,
+            duration: { before: runDuration(baseline.results), after: runDuration(candidate.results) },
+            screenshots: screenshots ? this.compareScreenshots(baseline.results, candidate.results, { threshold, masksFile }) : []
+        };
+    }
+
+    /**
+     * Status and duration change of one step; before or after is undefined when the step
+     * exists in one run only
+     */
+    static compareStep(before, after, { minDelta, minDeltaRatio }) {
+        const status = test => (!test ? null : test.status === 'passed' || test.status === 'skipped' ? test.status : 'failed');
+        const [was, is] = [status(before), status(after)];
+
+        let change = 'unchanged';
+        if (!before) {
+            change = 'added';
+        } else if (!after) {
+            change = 'removed';
+        } else if (is === 'failed') {
+            change = was === 'failed' ? 'still-failing' : 'newly-failing';
+        } else if (was === 'failed' && is === 'passed') {
+            change = 'newly-passing';
+        } else if (was !== is) {
+            change = 'changed';
+        }
+
+        const timed = before && after && was !== 'skipped' && is !== 'skipped';
+        const delta = timed ? after.duration - before.duration : null;
+        const ratio = timed && before.duration > 0 ? delta / before.duration : null;
+        return {
+            name: (after || before).name,
+            change,
+            before: before ? { status: was, flaky: Boolean(before.flaky), duration: before.duration, error: before.error || before.reason || null } : null,
+            after: after ? { status: is, flaky: Boolean(after.flaky), duration: after.duration, error: after.error || after.reason || null } : null,
+            delta,
+            ratio,
+            significant: timed && Math.abs(delta) >= minDelta && (ratio === null || Math.abs(ratio) >= minDeltaRatio)
+        };
+    }
+
+    /**
+     * Screenshots of both runs paired by step and logical name (the last capture of a name
+     * within a step), with the share of differing pixels where both files still exist
+     */
+    static compareScreenshots(baselineResults, candidateResults, { threshold = 0.001, masksFile = null } = {}) {
+        const byKey = results => {
+            const captures = new Map();
+            (results.screenshotFiles || [].concat(...results.tests.map(test => test.screenshotFiles || [])))
+                .forEach(capture => captures.set(`${capture.step || ''}\u0000${capture.name}`, capture));
+            return captures;
+        };
+        const before = byKey(baselineResults);
+        const after = byKey(candidateResults);
+        const keys = [...after.keys(), ...[...before.keys()].filter(key => !after.has(key))];
+
+        return keys.map(key => {
+            const [beforeCapture, afterCapture] = [before.get(key), after.get(key)];
+            const capture = afterCapture || beforeCapture;
+            const pair = { name: capture.name, step: capture.step, before: beforeCapture || null, after: afterCapture || null, ratio: null, status: 'unavailable' };
+            if (!beforeCapture || !afterCapture) {
+                pair.status = beforeCapture ? 'removed' : 'added';
+            } else if (fs.existsSync(beforeCapture.path) && fs.existsSync(afterCapture.path)) {
+                const result = VisualRegression.compare(
+                    PNG.sync.read(fs.readFileSync(beforeCapture.path)),
+                    PNG.sync.read(fs.readFileSync(afterCapture.path)),
+                    { masks: masksFile ? VisualRegression.masksFor(capture.name, masksFile) : [] }
+                );
+                pair.ratio = result.ratio;
+                pair.status = !result.sizeMismatch && result.ratio <= threshold ? 'same' : 'changed';
+            }
+            return pair;
+        });
+    }
+
+    /**
+     * Console summary of a comparison
+     */
+    static formatComparison(comparison) {
+        const lines = [`Comparing ${comparison.baseline.label} (baseline) → ${comparison.candidate.label} (candidate)`, ''];
+        const list = (title, symbol, steps, describe) => {
+            if (steps.length > 0) {
+                lines.push(`${title} (${steps.length}):`);
+                steps.forEach(step => lines.push(`  ${symbol} ${step.name}${describe ? describe(step) : ''}`));
+                lines.push('');
+            }
+        };
+        const error = step => (step.after && step.after.error ? `\n      ${step.after.error.split('\n')[0]}` : '');
+
+        list('❌ Newly failing', '-', comparison.newlyFailing, error);
+        list('✅ Newly passing', '+', comparison.newlyPassing);
+        list('⚠️ Still failing', '!', comparison.stillFailing, error);
+        list('🆕 Only in the candidate', '+', comparison.added, step => ` (${step.after.status})`);
+        list('🗑️ Only in the baseline', '-', comparison.removed, step => ` (${step.before.status})`);
+        list('🔀 Other status changes', '~', comparison.otherChanges, step => ` (${step.before.status} → ${step.after.status})`);
+        list('🐢 Slower', '>', comparison.slower, step => ` ${formatDelta(step)}`);
+        list('🐇 Faster', '<', comparison.faster, step => ` ${formatDelta(step)}`);
+
+        const changed = comparison.screenshots.filter(pair => pair.status === 'changed');
+        list('🖼️ Changed screenshots', '*', changed, pair => ` (${pair.step || 'outside a step'}${pair.ratio !== null ? `, ${(pair.ratio * 100).toFixed(2)}% different` : ''})`);
+
+        if (comparison.duration.before !== null && comparison.duration.after !== null) {
+            lines.push(`⏱️ Run duration: ${Duration.format(comparison.duration.before)} → ${Duration.format(comparison.duration.after)}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Standalone HTML comparison; screenshots are linked relative to the output directory
+     */
+    static generateHtml(comparison, { outputDir = '.' } = {}) {
+        const { baseline, candidate } = comparison;
+        const source = capture => path.relative(outputDir, capture.path).split(path.sep).join('/');
+        const statusCell = side => (side ? html`<td class="status-${side.status}">${side.status.toUpperCase()}${side.flaky ? ' (flaky)' : ''}</td><td>${typeof side.duration === 'number' ? Duration.format(side.duration) : '—'}</td>` : html`<td>—</td><td>—</td>`);
+        const cards = [
+            ['failing', comparison.newlyFailing.length, 'Newly failing'],
+            ['passing', comparison.newlyPassing.length, 'Newly passing'],
+            ['still', comparison.stillFailing.length, 'Still failing'],
+            ['slower', comparison.slower.length, 'Slower'],
+            ['faster', comparison.faster.length, 'Faster'],
+            ['screens', comparison.screenshots.filter(pair => pair.status === 'changed').length, 'Changed screenshots']
+        ];
+
+        const rows = comparison.steps.map(step => html`
+            <tr class="change-${step.change}">
+                <td>${step.name}${step.after && step.after.error && step.change !== 'unchanged' ? html`<div class="error">${step.after.error}</div>` : ''}</td>
+                <td class="change">${step.change.replace('-', ' ')}</td>
+                ${statusCell(step.before)}
+                ${statusCell(step.after)}
+                <td class="${step.significant ? (step.delta > 0 ? 'slower' : 'faster') : ''}">${step.delta === null ? '—' : formatDelta(step)}</td>
+            </tr>`);
+
+        const figure = (capture, label) => (capture ? html`
+                    <figure>
+                        <a href="${source(capture)}"><img src="${source(capture)}" alt="${label}: ${capture.name}" loading="lazy"></a>
+                        <figcaption>${label} · ${new Date(capture.time).toLocaleTimeString()}</figcaption>
+                    </figure>` : html`
+                    <figure class="missing"><div>Not captured</div><figcaption>${label}</figcaption></figure>`);
+        const screenshots = comparison.screenshots
+            .slice()
+            .sort((a, b) => (a.status === 'changed' ? 0 : 1) - (b.status === 'changed' ? 0 : 1))
+            .map(pair => html`
+            <section class="pair pair-${pair.status}">
+                <h3>${pair.name} <span>${pair.step || 'outside a step'} · ${pair.status}${pair.ratio !== null ? ` · ${(pair.ratio * 100).toFixed(2)}% different` : ''}</span></h3>
+                <div class="side-by-side">${figure(pair.before, 'Baseline')}${figure(pair.after, 'Candidate')}
+                </div>
+            </section>`);
+
+        return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Run Comparison - ${baseline.label} vs ${candidate.label}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+        h1 { margin-top: 0; }
+        .runs, .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; margin-bottom: 20px; }
+        .runs { grid-template-columns: 1fr 1fr; }
+        .run, .card, table, .pair { background: #fff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .run { padding: 15px 20px; }
+        .run h2 { margin: 0 0 5px; font-size: 1.1em; }
+        .card { padding: 15px; text-align: center; }
+        .card b { display: block; font-size: 2em; }
+        .card.failing b, .card.still b { color: #e74c3c; }
+        .card.passing b, .card.faster b { color: #27ae60; }
+        .card.slower b, .card.screens b { color: #f39c12; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 30px; font-size: 0.9em; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; vertical-align: top; }
+        .status-passed { color: #27ae60; }
+        .status-failed { color: #e74c3c; font-weight: 600; }
+        .status-skipped { color: #95a5a6; }
+        .change-newly-failing { background: #fdf2f2; }
+        .change-newly-passing { background: #eafaf1; }
+        .change-unchanged .change { color: #aaa; }
+        td.slower { color: #e67e22; font-weight: 600; }
+        td.faster { color: #27ae60; font-weight: 600; }
+        .error { color: #e74c3c; font-size: 0.85em; white-space: pre-wrap; margin-top: 4px; }
+        .pair { padding: 10px 20px; margin-bottom: 15px; }
+        .pair h3 { margin: 5px 0 10px; font-size: 1em; }
+        .pair h3 span { color: #7f8c8d; font-weight: normal; }
+        .pair-changed { border-left: 4px solid #f39c12; }
+        .side-by-side { display: flex; gap: 20px; }
+        .side-by-side figure { margin: 0; text-align: center; }
+        .side-by-side img { max-height: 420px; max-width: 100%; border: 1px solid #e1e8ed; border-radius: 4px; }
+        .side-by-side .missing div { width: 194px; height: 420px; display: flex; align-items: center; justify-content: center; background: #f8f9fa; color: #7f8c8d; border: 1px dashed #ccc; border-radius: 4px; }
+        figcaption { color: #7f8c8d; font-size: 0.85em; }
+    </style>
+</head>
+<body>
+    <h1>🔀 Run Comparison</h1>
+    <div class="runs">${[['Baseline', baseline], ['Candidate', candidate]].map(([label, run]) => html`
+        <div class="run">
+            <h2>${label}: ${run.label}</h2>
+            <div>${run.device ? `${run.device} / ${run.app}, APK ${run.apkVersion} · ` : ''}${run.startTime ? new Date(run.startTime).toLocaleString() : ''}</div>
+            <div>${run.summary ? `${run.summary.passed}/${run.summary.total} passed${run.summary.skipped ? `, ${run.summary.skipped} skipped` : ''}${run.summary.flaky ? `, ${run.summary.flaky} flaky` : ''}` : ''}</div>
+        </div>`)}
+    </div>
+    <div class="cards">${cards.map(([type, number, label]) => html`
+        <div class="card ${type}"><b>${number}</b>${label}</div>`)}
+    </div>
+
+    <h2>Steps</h2>
+    <table>
+        <tr><th>Step</th><th>Change</th><th>Baseline</th><th></th><th>Candidate</th><th></th><th>Δ duration</th></tr>${rows}
+    </table>
+
+    <h2>Screenshots</h2>
+    ${screenshots.length > 0 ? screenshots : html`<p>Neither run registered screenshots.</p>`}
+</body>
+</html>`.toString();
+    }
+}
+
+function describeRun(loaded) {
+    const run = loaded.results.run || {};
+    return {
+        id: loaded.id,
+        label: loaded.label,
+        file: loaded.file,
+        startTime: loaded.startTime,
+        device: run.device,
+        app: run.app,
+        apkVersion: run.apkVersion,
+        summary: loaded.results.summary
+    };
+}
+
+function formatDelta(step) {
+    return `${step.delta >= 0 ? '+' : '-'}${Duration.format(Math.abs(step.delta))}${step.ratio !== null ? ` (${step.delta >= 0 ? '+' : ''}${Math.round(step.ratio * 100)}%)` : ''}`;
+}
+
+module.exports = RunComparison;
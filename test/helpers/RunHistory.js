@@ -0,0 +1,253 @@
+/**
+ * Run History
+ * Appends a compact record of every run (summary plus status, duration and
+ * attempts per step) to test-results/history.jsonl, which outlives the pruned
+ * run directories, and renders the trends page: pass rate over time, a
+ * duration chart per step and the steps that fail or flake most often.
+ * Charts are inline SVG, so the page works offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const HtmlTemplate = require('./HtmlTemplate');
+const Duration = require('./Duration');
+
+const { html } = HtmlTemplate;
+
+const DEFAULT_LIMIT = 500;
+
+class RunHistory {
+
+    /**
+     * HISTORY_FILE (default test-results/history.jsonl) and HISTORY_LIMIT, the number of
+     * runs kept in it (default 500)
+     */
+    static options({ env = process.env } = {}) {
+        const limit = Number(env.HISTORY_LIMIT);
+        return {
+            file: env.HISTORY_FILE || path.join('test-results', 'history.jsonl'),
+            limit: env.HISTORY_LIMIT === undefined || isNaN(limit) ? DEFAULT_LIMIT : limit
+        };
+    }
+
+    /**
+     * History record of a finished run
+     */
+    static toRecord(testResults) {
+        const run = testResults.run || {};
+        return {
+            id: run.id || testResults.startTime,
+            suiteName: testResults.suiteName,
+            startTime: testResults.startTime,
+            endTime: testResults.endTime,
+            device: run.device,
+            app: run.app,
+            apkVersion: run.apkVersion,
+            summary: testResults.summary,
+            tests: testResults.tests.map(test => ({
+                name: test.name,
+                status: test.status,
+                duration: test.duration,
+                attempts: test.attempts ? test.attempts.length : 1,
+                flaky: Boolean(test.flaky),
+                error: test.error ? test.error.split('\n')[0] : undefined
+            }))
+        };
+    }
+
+    /**
+     * Append a run to the history file, dropping the oldest runs beyond the limit
+     */
+    static append(testResults, { options = this.options() } = {}) {
+        const history = this.load(options.file).filter(record => record.id !== (testResults.run || {}).id);
+        history.push(this.toRecord(testResults));
+        const kept = options.limit > 0 ? history.slice(-options.limit) : history;
+
+        fs.mkdirSync(path.dirname(options.file), { recursive: true });
+        fs.writeFileSync(options.file, kept.map(record => JSON.stringify(record)).join('\n') + '\n');
+        return kept;
+    }
+
+    /**
+     * Runs in the history file, oldest first; unreadable lines are skipped
+     */
+    static load(file = this.options().file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        return fs.readFileSync(file, 'utf8').split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    }
+
+    /**
+     * Per-step statistics: runs, failures, flaky passes, skips and the duration series
+     */
+    static stepStats(history) {
+        const steps = new Map();
+        history.forEach((record, runIndex) => {
+            record.tests.forEach(test => {
+                if (!steps.has(test.name)) {
+                    steps.set(test.name, { name: test.name, runs: 0, failed: 0, flaky: 0, skipped: 0, lastFailure: null, lastError: null, points: [] });
+                }
+                const stats = steps.get(test.name);
+                stats.runs++;
+                if (test.status === 'skipped') {
+                    stats.skipped++;
+                    return;
+                }
+                if (test.status === 'failed') {
+                    stats.failed++;
+                    stats.lastFailure = record.startTime;
+                    stats.lastError = test.error || null;
+                }
+                if (test.flaky) {
+                    stats.flaky++;
+                }
+                stats.points.push({
+                    run: runIndex,
+                    value: test.duration,
+                    status: test.status === 'failed' ? 'failed' : test.flaky ? 'flaky' : 'passed',
+                    label: `${new Date(record.startTime).toLocaleString()} - ${Duration.format(test.duration)}${test.attempts > 1 ? ` (${test.attempts} attempts)` : ''} - ${test.status}`
+                });
+            });
+        });
+        return Array.from(steps.values());
+    }
+
+    /**
+     * Trends page for the history
+     */
+    static generateTrendsHtml(history) {
+        const runCount = history.length;
+        const passRate = history.map((record, runIndex) => ({
+            run: runIndex,
+            value: record.summary.successRate,
+            status: record.summary.failed > 0 ? 'failed' : record.summary.flaky > 0 ? 'flaky' : 'passed',
+            label: `${new Date(record.startTime).toLocaleString()} - ${record.summary.passed}/${record.summary.total} passed (${record.device || 'unknown device'}, APK ${record.apkVersion || 'unknown'})`
+        }));
+
+        const stats = this.stepStats(history);
+        const unstable = stats
+            .filter(step => step.failed + step.flaky > 0)
+            .sort((a, b) => (b.failed - a.failed) || (b.flaky - a.flaky) || a.name.localeCompare(b.name));
+        const failingRows = unstable.map(step => html`
+            <tr>
+                <td>${step.name}</td>
+                <td>${step.failed}</td>
+                <td>${step.flaky}</td>
+                <td>${step.runs}</td>
+                <td>${((step.failed / step.runs) * 100).toFixed(1)}%</td>
+                <td>${step.lastFailure ? new Date(step.lastFailure).toLocaleString() : '—'}</td>
+                <td class="error">${step.lastError || ''}</td>
+            </tr>`);
+
+        const durationCharts = stats.map(step => {
+            const durations = step.points.map(point => point.value);
+            const average = durations.length ? durations.reduce((sum, value) => sum + value, 0) / durations.length : 0;
+            return html`
+        <section class="step">
+            <h3>${step.name}</h3>
+            <p>${step.points.length} run(s) · average ${Duration.format(average)} · latest ${durations.length ? Duration.format(durations[durations.length - 1]) : '—'} · ${step.failed} failed · ${step.flaky} flaky</p>
+            ${lineChart(step.points, { runCount, format: Duration.format })}
+        </section>`;
+        });
+
+        return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Test Trends</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+        section { background: #fff; border-radius: 8px; padding: 15px 20px; margin-bottom: 20px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        h3 { margin: 0 0 5px; }
+        p { color: #7f8c8d; margin: 0 0 10px; }
+        a { color: #667eea; }
+        .steps { display: grid; grid-template-columns: repeat(auto-fill, minmax(460px, 1fr)); gap: 20px; }
+        .steps section { margin-bottom: 0; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; }
+        td.error { color: #e74c3c; font-size: 0.9em; }
+        svg { width: 100%; height: auto; }
+        svg .axis { stroke: #ccc; }
+        svg .line { fill: none; stroke: #667eea; stroke-width: 2; }
+        svg text { font-size: 11px; fill: #7f8c8d; }
+        svg .passed { fill: #27ae60; }
+        svg .flaky { fill: #f39c12; }
+        svg .failed { fill: #e74c3c; }
+    </style>
+</head>
+<body>
+    <h1>📈 Test Trends</h1>
+    <p>${runCount} run(s)${runCount ? ` from ${new Date(history[0].startTime).toLocaleString()} to ${new Date(history[runCount - 1].startTime).toLocaleString()}` : ''} · <a href="index.html">All runs</a> · points: <span style="color:#27ae60">passed</span>, <span style="color:#f39c12">flaky</span>, <span style="color:#e74c3c">failed</span></p>
+
+    <section>
+        <h3>Pass rate</h3>
+        ${lineChart(passRate, { runCount, max: 100, format: value => `${Math.round(value)}%` })}
+    </section>
+
+    <section>
+        <h3>Most frequently failing steps</h3>
+        ${unstable.length ? html`<table>
+            <tr><th>Step</th><th>Failed</th><th>Flaky</th><th>Runs</th><th>Failure rate</th><th>Last failure</th><th>Last error</th></tr>${failingRows}
+        </table>` : html`<p>No step has failed or needed a retry.</p>`}
+    </section>
+
+    <h2>Step durations</h2>
+    <div class="steps">${durationCharts}
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Write the trends page next to the run index
+     */
+    static writeTrends(history, directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        const trendsPath = path.join(directory, 'trends.html');
+        fs.writeFileSync(trendsPath, String(this.generateTrendsHtml(history)));
+        return trendsPath;
+    }
+}
+
+/**
+ * Inline SVG line chart of values per run; points are coloured by status and carry
+ * their label as a tooltip
+ */
+function lineChart(points, { runCount, max, format }) {
+    const width = 600;
+    const height = 160;
+    const left = 55;
+    const right = 10;
+    const top = 10;
+    const bottom = 25;
+    if (points.length === 0) {
+        return html`<p>No data yet.</p>`;
+    }
+
+    const yMax = max || Math.max(...points.map(point => point.value), 1) * 1.1;
+    const x = run => left + (runCount > 1 ? (run / (runCount - 1)) * (width - left - right) : (width - left - right) / 2);
+    const y = value => top + (1 - value / yMax) * (height - top - bottom);
+    const line = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.run).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    const dots = points.map(point => html`<circle class="${point.status}" cx="${x(point.run).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="4"><title>${point.label}</title></circle>`);
+    const gridValues = [0, yMax / 2, yMax];
+
+    return html`<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+            ${gridValues.map(value => html`<line class="axis" x1="${left}" x2="${width - right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"/><text x="${left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${format(value)}</text>`)}
+            <text x="${left}" y="${height - 6}">run 1</text><text x="${width - right}" y="${height - 6}" text-anchor="end">run ${runCount}</text>
+            <path class="line" d="${line}"/>${dots}
+        </svg>`;
+}
+
+module.exports = RunHistory;
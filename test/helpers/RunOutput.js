@@ -0,0 +1,232 @@
+/**
+ * Run Output
+ * Gives every test run its own directory, test-results/runs/<run id>/, for
+ * the report, JSON results, screenshots, page snapshots and visual diffs.
+ * run.json in it records the run ID, times, device and app profile and APK
+ * version. Finishing a run points test-results/runs/latest at it, rewrites
+ * the index page of all runs and prunes old runs by count and age.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DeviceProfiles = require('./DeviceProfiles');
+const HtmlTemplate = require('./HtmlTemplate');
+const Duration = require('./Duration');
+
+const { html } = HtmlTemplate;
+
+const DEFAULT_KEEP_RUNS = 20;
+const DEFAULT_KEEP_DAYS = 30;
+
+let currentRun = null;
+
+class RunOutput {
+
+    /**
+     * Run-wide settings: RUNS_DIR (default test-results/runs) and the retention policy,
+     * --keep-runs N / KEEP_RUNS (default 20) and --keep-days N / KEEP_RUN_DAYS (default 30);
+     * 0 disables a limit
+     */
+    static options({ argv = process.argv, env = process.env } = {}) {
+        const flag = name => {
+            const index = argv.indexOf(name);
+            return index !== -1 ? argv[index + 1] : undefined;
+        };
+        const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+
+        return {
+            root: env.RUNS_DIR || path.join('test-results', 'runs'),
+            keepRuns: number(flag('--keep-runs') ?? env.KEEP_RUNS, DEFAULT_KEEP_RUNS),
+            keepDays: number(flag('--keep-days') ?? env.KEEP_RUN_DAYS, DEFAULT_KEEP_DAYS)
+        };
+    }
+
+    /**
+     * The run of this process, created on first use. RUN_ID joins an existing run, and is
+     * set for child processes (e.g. the WDIO workers) so they write into the same directory.
+     */
+    static current({ argv = process.argv, env = process.env } = {}) {
+        if (currentRun) {
+            return currentRun;
+        }
+
+        const { root } = this.options({ argv, env });
+        const profile = DeviceProfiles.resolve({ argv, env });
+        const id = env.RUN_ID || this.createId(profile.device.name);
+        const dir = path.join(root, id);
+        const metadataPath = path.join(dir, 'run.json');
+
+        fs.mkdirSync(path.join(dir, 'screenshots'), { recursive: true });
+        if (fs.existsSync(metadataPath)) {
+            currentRun = { ...JSON.parse(fs.readFileSync(metadataPath, 'utf8')), dir };
+        } else {
+            currentRun = {
+                id,
+                dir,
+                startTime: new Date().toISOString(),
+                device: profile.device.name,
+                app: profile.app.name,
+                apk: path.basename(profile.app.path),
+                apkVersion: this.apkVersion(profile, env),
+                status: 'running'
+            };
+            this.writeMetadata(currentRun);
+            console.log(`📂 Run ${id}: ${dir}`);
+        }
+        process.env.RUN_ID = id;
+        return currentRun;
+    }
+
+    /**
+     * Path inside the current run directory
+     */
+    static path(...parts) {
+        return path.join(this.current().dir, ...parts);
+    }
+
+    /**
+     * Sortable, unique run ID: 20261018-185714-emulator-3fa2
+     */
+    static createId(deviceName, date = new Date()) {
+        const timestamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        return `${timestamp}-${deviceName}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    /**
+     * APK_VERSION, or the version in the APK file name (app-dev-release-1.4.2.apk)
+     */
+    static apkVersion(profile, env = process.env) {
+        if (env.APK_VERSION) {
+            return env.APK_VERSION;
+        }
+        const match = /(\d+(?:\.\d+)+)/.exec(path.basename(profile.app.path, '.apk'));
+        return match ? match[1] : 'unknown';
+    }
+
+    static writeMetadata(run) {
+        const { dir, ...metadata } = run;
+        fs.writeFileSync(path.join(dir, 'run.json'), JSON.stringify(metadata, null, 2));
+    }
+
+    /**
+     * Record the outcome of the current run, point "latest" at it, rewrite the index
+     * page and apply the retention policy
+     */
+    static finish(testResults, { options = this.options() } = {}) {
+        const run = this.current();
+        Object.assign(run, {
+            endTime: testResults.endTime || new Date().toISOString(),
+            status: testResults.summary.failed > 0 ? 'failed' : 'passed',
+            suiteName: testResults.suiteName,
+            summary: testResults.summary
+        });
+        this.writeMetadata(run);
+        this.updateLatest(run, options.root);
+
+        const removed = this.prune(options, run.id);
+        if (removed.length > 0) {
+            console.log(`🧹 Removed ${removed.length} old run(s): ${removed.join(', ')}`);
+        }
+
+        const indexPath = path.join(options.root, 'index.html');
+        fs.writeFileSync(indexPath, String(this.generateIndexHtml(this.listRuns(options.root))));
+        console.log(`🗂️  Run index: ${indexPath}`);
+        return run;
+    }
+
+    /**
+     * Metadata of every run directory under the root, newest first
+     */
+    static listRuns(root = this.options().root) {
+        if (!fs.existsSync(root)) {
+            return [];
+        }
+        return fs.readdirSync(root, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && fs.existsSync(path.join(root, entry.name, 'run.json')))
+            .map(entry => ({ ...JSON.parse(fs.readFileSync(path.join(root, entry.name, 'run.json'), 'utf8')), dir: path.join(root, entry.name) }))
+            .sort((a, b) => b.startTime.localeCompare(a.startTime));
+    }
+
+    /**
+     * latest.json plus a "latest" symlink (a junction on Windows) to the run directory
+     */
+    static updateLatest(run, root) {
+        fs.writeFileSync(path.join(root, 'latest.json'), JSON.stringify({ id: run.id, dir: run.dir }, null, 2));
+
+        const link = path.join(root, 'latest');
+        try {
+            if (fs.lstatSync(link, { throwIfNoEntry: false })) {
+                fs.unlinkSync(link);
+            }
+            fs.symlinkSync(process.platform === 'win32' ? path.resolve(run.dir) : run.id, link, 'junction');
+        } catch (error) {
+            console.log(`Could not update the latest link (see latest.json): ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete runs beyond the newest keepRuns and runs older than keepDays, never the current one.
+     * Returns the removed run IDs.
+     */
+    static prune({ root, keepRuns, keepDays }, currentId) {
+        const cutoff = keepDays > 0 ? Date.now() - keepDays * 24 * 60 * 60 * 1000 : null;
+        const removed = [];
+        this.listRuns(root).forEach((run, index) => {
+            const tooMany = keepRuns > 0 && index >= keepRuns;
+            const tooOld = cutoff !== null && new Date(run.startTime).getTime() < cutoff;
+            if (run.id !== currentId && (tooMany || tooOld)) {
+                fs.rmSync(run.dir, { recursive: true, force: true });
+                removed.push(run.id);
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * Index page linking the report of every run
+     */
+    static generateIndexHtml(runs) {
+        const rows = runs.map(run => {
+            const summary = run.summary || {};
+            const report = `${encodeURIComponent(run.id)}/comprehensive_test_report.html`;
+            return html`
+            <tr class="run-${run.status}">
+                <td><a href="${report}">${run.id}</a></td>
+                <td>${new Date(run.startTime).toLocaleString()}</td>
+                <td>${run.device} / ${run.app}</td>
+                <td>${run.apkVersion}</td>
+                <td class="status">${run.status.toUpperCase()}</td>
+                <td>${summary.total !== undefined ? `${summary.passed}/${summary.total} passed${summary.skipped ? `, ${summary.skipped} skipped` : ''}${summary.flaky ? `, ${summary.flaky} flaky` : ''}` : '—'}</td>
+                <td>${run.endTime ? Duration.format(new Date(run.endTime) - new Date(run.startTime)) : '—'}</td>
+            </tr>`;
+        });
+
+        return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Test Runs</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+        table { border-collapse: collapse; width: 100%; background: #fff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #eee; }
+        a { color: #667eea; }
+        .run-passed .status { color: #27ae60; font-weight: 600; }
+        .run-failed .status { color: #e74c3c; font-weight: 600; }
+        .run-running .status { color: #f39c12; }
+    </style>
+</head>
+<body>
+    <h1>🗂️ Test Runs</h1>
+    <p>${runs.length} run(s) · <a href="latest/comprehensive_test_report.html">Latest report</a> · <a href="trends.html">Trends</a></p>
+    <table>
+        <tr><th>Run</th><th>Started</th><th>Device / app</th><th>APK version</th><th>Status</th><th>Tests</th><th>Duration</th></tr>${rows}
+    </table>
+</body>
+</html>`;
+    }
+}
+
+module.exports = RunOutput;
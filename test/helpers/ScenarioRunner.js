@@ -0,0 +1,198 @@
+/**
+ * Scenario Runner
+ * Executes the steps of a scenario module (see test/scenarios) and records
+ * one result object per step for TestReportGenerator: dependencies are
+ * checked first, the step runs under its retry policy, and healed locators,
+ * attempts, screenshot files and comparisons are attributed to it; a screenshot that
+ * differs from its baseline fails the step, and a failed step gets a diagnostics
+ * bundle (see FailureDiagnostics). run-single-test.js calls it directly,
+ * the WDIO spec through MochaScenarioAdapter, so both record the same results.
+ */
+
+const LocatorChain = require('./LocatorChain');
+const StepDependencies = require('./StepDependencies');
+const RetryPolicy = require('./RetryPolicy');
+const VisualRegression = require('./VisualRegression');
+const ScreenshotRegistry = require('./ScreenshotRegistry');
+const FailureDiagnostics = require('./FailureDiagnostics');
+
+class ScenarioRunner {
+
+    /**
+     * Empty results object for a suite
+     */
+    static createResults(suiteName) {
+        return {
+            suiteName,
+            startTime: new Date().toISOString(),
+            endTime: null,
+            tests: [],
+            summary: {
+                total: 0,
+                passed: 0,
+                failed: 0,
+                skipped: 0,
+                flaky: 0,
+                successRate: 0
+            }
+        };
+    }
+
+    /**
+     * Run one step and record its result. Resolves with the recorded result;
+     * a failure is re-thrown when rethrow is set (stop-on-failure, mocha).
+     * Options: retryDefaults (run-wide retry settings) and rethrow.
+     */
+    static async runStep(testResults, step, { retryDefaults = RetryPolicy.defaults(), rethrow = true } = {}) {
+        const extra = step.inputs ? { inputs: step.inputs } : {};
+
+        const skipReason = StepDependencies.skipReason(testResults, step.dependsOn || []);
+        if (skipReason) {
+            StepDependencies.recordSkipped(testResults, step.name, skipReason, extra);
+            return testResults.tests[testResults.tests.length - 1];
+        }
+
+        const screenshots = step.screenshots || [];
+        const testStart = Date.now();
+        const healCounts = countHeals();
+        const visualStart = VisualRegression.getComparisons().length;
+        const captureStart = ScreenshotRegistry.getCaptures().length;
+        ScreenshotRegistry.setStep(step.name);
+        console.log(`\n🧪 Running: ${step.name}`);
+
+        let result;
+        try {
+            // Inside the try, so an unknown retryOn class is recorded as a failure of this step
+            const policy = RetryPolicy.resolve(step.retry || {}, retryDefaults);
+            const { result: details, attempts } = await RetryPolicy.run(step.run, policy, { name: step.name, beforeRetry: step.beforeRetry });
+            const retryInfo = RetryPolicy.summarize(attempts);
+
+            const visualFailures = visualSince(visualStart).filter(comparison => comparison.status === 'failed');
+            if (visualFailures.length > 0) {
+                const error = new Error(`Visual regression: ${visualFailures.map(comparison => `${comparison.name} (${comparison.message})`).join(', ')}`);
+                error.attempts = attempts;
+                throw error;
+            }
+
+            result = {
+                name: step.name,
+                status: 'passed',
+                startTime: new Date(testStart).toISOString(),
+                duration: Date.now() - testStart,
+                details: details || 'Test completed successfully',
+                screenshots,
+                screenshotFiles: ScreenshotRegistry.getCaptures().slice(captureStart),
+                healedLocators: healedSince(healCounts),
+                ...visualResults(visualStart),
+                ...retryInfo,
+                ...extra
+            };
+            testResults.tests.push(result);
+            testResults.summary.passed++;
+            if (retryInfo.flaky) {
+                testResults.summary.flaky++;
+                console.log(`⚠️  ${step.name}: PASSED after ${attempts.length} attempts (flaky)`);
+            } else {
+                console.log(`✅ ${step.name}: PASSED`);
+            }
+
+        } catch (error) {
+            console.error(`❌ ${step.name}: FAILED - ${error.message}`);
+            const diagnostics = await captureDiagnostics(step.name, error);
+
+            result = {
+                name: step.name,
+                status: 'failed',
+                startTime: new Date(testStart).toISOString(),
+                duration: Date.now() - testStart,
+                error: error.message,
+                screenshots,
+                screenshotFiles: ScreenshotRegistry.getCaptures().slice(captureStart),
+                healedLocators: healedSince(healCounts),
+                ...visualResults(visualStart),
+                ...RetryPolicy.summarize(error.attempts),
+                ...(diagnostics ? { diagnostics } : {}),
+                ...extra
+            };
+            testResults.tests.push(result);
+            testResults.summary.failed++;
+            if (rethrow) {
+                throw error;
+            }
+        } finally {
+            testResults.summary.total++;
+            ScreenshotRegistry.setStep(null);
+        }
+        return result;
+    }
+
+    /**
+     * Run steps in order; stops at the first failure unless continueOnFailure is set
+     */
+    static async runSteps(testResults, steps, { retryDefaults = RetryPolicy.defaults(), continueOnFailure = false } = {}) {
+        for (const step of steps) {
+            await this.runStep(testResults, step, { retryDefaults, rethrow: !continueOnFailure });
+        }
+        return testResults;
+    }
+
+    /**
+     * Set end time, success rate and the run-wide healed locators
+     */
+    static finalize(testResults) {
+        testResults.endTime = new Date().toISOString();
+        testResults.healedLocators = LocatorChain.getHealedLocators();
+        testResults.screenshotFiles = ScreenshotRegistry.getCaptures();
+        testResults.summary.successRate = testResults.summary.total > 0 ?
+            (testResults.summary.passed / testResults.summary.total) * 100 : 0;
+        return testResults;
+    }
+}
+
+/**
+ * Snapshot of heal counts per locator, used to attribute heals to a step
+ */
+function countHeals() {
+    const counts = {};
+    LocatorChain.getHealedLocators().forEach(event => {
+        counts[event.locator] = (counts[event.locator] || 0) + event.count;
+    });
+    return counts;
+}
+
+/**
+ * Names of locators healed since the given snapshot
+ */
+function healedSince(before) {
+    const after = countHeals();
+    return Object.keys(after).filter(name => after[name] > (before[name] || 0));
+}
+
+/**
+ * Diagnostics bundle of a failed step; a failing capture is logged, never thrown over the step's error
+ */
+async function captureDiagnostics(stepName, error) {
+    try {
+        return await FailureDiagnostics.capture(stepName, error);
+    } catch (captureError) {
+        console.log(`⚠️  Failure diagnostics not captured: ${captureError.message}`);
+        return null;
+    }
+}
+
+/**
+ * Latest comparison per screenshot name since the given position; a screenshot
+ * retaken by a retried attempt replaces the earlier comparison
+ */
+function visualSince(start) {
+    const latest = new Map();
+    VisualRegression.getComparisons().slice(start).forEach(comparison => latest.set(comparison.name, comparison));
+    return Array.from(latest.values());
+}
+
+function visualResults(start) {
+    const visual = visualSince(start);
+    return visual.length > 0 ? { visual } : {};
+}
+
+module.exports = ScenarioRunner;
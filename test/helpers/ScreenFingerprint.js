@@ -0,0 +1,157 @@
+/**
+ * Screen Fingerprint
+ * Identifies what is on screen from the page source: a hash of the normalized
+ * hierarchy (volatile attributes such as bounds and focus stripped) plus the
+ * landmark labels a person would recognise the screen by
+ */
+
+const crypto = require('crypto');
+const UiHierarchy = require('./UiHierarchy');
+
+// Attributes that change without the screen changing (scrolling, focus, rendering order)
+const VOLATILE_ATTRIBUTES = [
+    'index', 'bounds', 'focused', 'a11y-focused', 'drawing-order',
+    'screen-reader-focusable', 'showing-hint', 'live-region'
+];
+
+// Icon fonts render as private-use code points; they carry no meaning as landmarks
+const PRIVATE_USE = /[\u{E000}-\u{F8FF}\u{F0000}-\u{10FFFF}]/gu;
+
+class ScreenFingerprint {
+
+    static get volatileAttributes() {
+        return VOLATILE_ATTRIBUTES;
+    }
+
+    /**
+     * Canonical one-line-per-element form of a hierarchy, used for hashing
+     */
+    static normalize(document) {
+        const lines = [];
+        const walk = (node, depth) => {
+            const attributes = UiHierarchy.attributes(node);
+            const kept = Object.keys(attributes)
+                .filter(name => !VOLATILE_ATTRIBUTES.includes(name))
+                .sort()
+                .map(name => `${name}=${attributes[name]}`);
+            lines.push(`${'  '.repeat(depth)}${node.nodeName} ${kept.join(' ')}`);
+            UiHierarchy.children(node).forEach(child => walk(child, depth + 1));
+        };
+        UiHierarchy.children(document.documentElement).forEach(child => walk(child, 0));
+        return lines.join('\n');
+    }
+
+    /**
+     * Human readable labels on screen: texts and clickable content descriptions
+     */
+    static landmarks(document) {
+        const labels = new Set();
+        UiHierarchy.elements(document).forEach(node => {
+            const candidates = [node.getAttribute('text')];
+            if (node.getAttribute('clickable') === 'true') {
+                candidates.push(node.getAttribute('content-desc'));
+            }
+            candidates.forEach(value => {
+                const label = this.cleanLabel(value);
+                if (label) {
+                    labels.add(label);
+                }
+            });
+        });
+        return Array.from(labels);
+    }
+
+    /**
+     * Label without icon-font glyphs and the separators around them
+     */
+    static cleanLabel(value) {
+        return (value || '').replace(PRIVATE_USE, '').replace(/^[,\s]+|[,\s]+$/g, '');
+    }
+
+    /**
+     * Fingerprint a page-source XML string
+     */
+    static fromSource(xml) {
+        const document = UiHierarchy.parse(xml);
+        return {
+            hash: crypto.createHash('sha1').update(this.normalize(document)).digest('hex').slice(0, 12),
+            landmarks: this.landmarks(document),
+            elementCount: UiHierarchy.elements(document).length,
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Fingerprint the screen currently shown by the driver
+     */
+    static async capture() {
+        return this.fromSource(await browser.getPageSource());
+    }
+
+    /**
+     * Compare two fingerprints
+     */
+    static compare(before, after) {
+        return {
+            changed: before.hash !== after.hash,
+            addedLandmarks: after.landmarks.filter(label => !before.landmarks.includes(label)),
+            removedLandmarks: before.landmarks.filter(label => !after.landmarks.includes(label))
+        };
+    }
+
+    /**
+     * Short description of a fingerprint for logs and error messages
+     */
+    static describe(fingerprint) {
+        const landmarks = fingerprint.landmarks.slice(0, 5).join(', ');
+        return `#${fingerprint.hash} [${landmarks}${fingerprint.landmarks.length > 5 ? ', ...' : ''}]`;
+    }
+
+    /**
+     * Wait until the hierarchy differs from the given fingerprint
+     */
+    static async waitForScreenChange(before, { timeout = 10000, interval = 500 } = {}) {
+        const deadline = Date.now() + timeout;
+        let current = before;
+
+        for (;;) {
+            current = await this.capture();
+            if (current.hash !== before.hash) {
+                const { addedLandmarks, removedLandmarks } = this.compare(before, current);
+                console.log(`🔀 Screen changed ${this.describe(before)} → ${this.describe(current)}` +
+                    (addedLandmarks.length ? ` (+${addedLandmarks.join(', ')})` : '') +
+                    (removedLandmarks.length ? ` (-${removedLandmarks.join(', ')})` : ''));
+                return current;
+            }
+            if (Date.now() >= deadline) {
+                break;
+            }
+            await browser.pause(interval);
+        }
+
+        throw new Error(`Screen did not change within ${timeout}ms (still showing ${this.describe(current)})`);
+    }
+
+    /**
+     * Wait until consecutive captures are identical, i.e. animations and loading have settled
+     */
+    static async waitForScreenStable({ timeout = 10000, interval = 500, samples = 2 } = {}) {
+        const deadline = Date.now() + timeout;
+        let previous = await this.capture();
+        let identical = 1;
+
+        while (identical < samples) {
+            if (Date.now() >= deadline) {
+                throw new Error(`Screen did not settle within ${timeout}ms (last seen ${this.describe(previous)})`);
+            }
+            await browser.pause(interval);
+            const current = await this.capture();
+            identical = current.hash === previous.hash ? identical + 1 : 1;
+            previous = current;
+        }
+
+        return previous;
+    }
+}
+
+module.exports = ScreenFingerprint;
@@ -0,0 +1,52 @@
+/**
+ * Screenshot Registry
+ * Per-run list of the screenshot files actually written: logical name, file
+ * path, the step that was running, capture time and the fingerprint of the
+ * screen shown. ScenarioRunner attributes the captures to step results, so
+ * the HTML report can show thumbnails instead of bare names.
+ */
+
+// Every capture of the run, in order
+const captures = [];
+
+let currentStep = null;
+
+class ScreenshotRegistry {
+
+    /**
+     * Name of the step subsequent captures belong to (null outside of steps)
+     */
+    static setStep(name) {
+        currentStep = name;
+    }
+
+    /**
+     * Record a saved screenshot and return its registry entry
+     */
+    static register(name, filePath, { fingerprint = null } = {}) {
+        const capture = {
+            name,
+            path: filePath,
+            step: currentStep,
+            time: new Date().toISOString(),
+            fingerprint: fingerprint ? fingerprint.hash : null,
+            landmarks: fingerprint ? fingerprint.landmarks.slice(0, 5) : []
+        };
+        captures.push(capture);
+        return { ...capture };
+    }
+
+    static getCaptures() {
+        return captures.map(capture => ({ ...capture }));
+    }
+
+    /**
+     * Latest capture with the given logical name
+     */
+    static find(name) {
+        const capture = captures.slice().reverse().find(entry => entry.name === name);
+        return capture ? { ...capture } : null;
+    }
+}
+
+module.exports = ScreenshotRegistry;
@@ -0,0 +1,205 @@
+/**
+ * Selector Linter
+ * Evaluates every selector exposed by a page object's getters against saved
+ * page-source XML files and reports zero-match, multi-match and
+ * index-fragile selectors before anything runs on a device
+ */
+
+const path = require('path');
+const UiHierarchy = require('./UiHierarchy');
+
+class SelectorLinter {
+
+    /**
+     * Collect the selectors returned by every getter of a page object.
+     * The getters are invoked with stubbed $/$$ globals that record the selector;
+     * getters backed by a LocatorChain contribute one entry per strategy instead.
+     */
+    static collectSelectors(pageObject) {
+        const originals = { $: global.$, $$: global.$$ };
+        const chains = pageObject.locators || {};
+        const selectors = [];
+
+        Object.entries(chains).forEach(([name, chain]) => {
+            chain.strategies.forEach((strategy, index) => {
+                selectors.push({ getter: name, strategy: strategy.type, chainIndex: index, selector: strategy.selector, multiple: false });
+            });
+        });
+
+        global.$ = (selector) => ({ selector, multiple: false });
+        global.$$ = (selector) => ({ selector, multiple: true });
+
+        try {
+            let proto = Object.getPrototypeOf(pageObject);
+            while (proto && proto !== Object.prototype) {
+                Object.entries(Object.getOwnPropertyDescriptors(proto)).forEach(([name, descriptor]) => {
+                    if (!descriptor.get || name === 'locators' || selectors.some(s => s.getter === name)) {
+                        return;
+                    }
+                    const result = descriptor.get.call(pageObject);
+                    if (result && typeof result.selector === 'string') {
+                        selectors.push({ getter: name, selector: result.selector, multiple: result.multiple });
+                    }
+                });
+                proto = Object.getPrototypeOf(proto);
+            }
+        } finally {
+            global.$ = originals.$;
+            global.$$ = originals.$$;
+        }
+
+        return selectors;
+    }
+
+    /**
+     * Translate a WebdriverIO selector into matching nodes of a document.
+     * Returns null for selector strategies that cannot be evaluated offline.
+     */
+    static evaluate(selector, document) {
+        if (selector.startsWith('/') || selector.startsWith('(')) {
+            return UiHierarchy.select(document, selector);
+        }
+
+        const elements = UiHierarchy.elements(document);
+        if (selector.startsWith('~')) {
+            return elements.filter(node => node.getAttribute('content-desc') === selector.slice(1));
+        }
+        if (selector.startsWith('id=')) {
+            const id = selector.slice(3);
+            return elements.filter(node => {
+                const resourceId = node.getAttribute('resource-id') || '';
+                return resourceId === id || resourceId.endsWith(`:id/${id}`);
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Positional predicates such as (//...)[2] or //Button[3] break as soon as
+     * sibling order changes
+     */
+    static isIndexFragile(selector) {
+        // "nearest ancestor" steps such as ancestor::*[@clickable="true"][1] do not depend on sibling order
+        const withoutAncestorSteps = selector.replace(/ancestor(-or-self)?::[^/]*/g, '');
+        return /\[\s*\d+\s*\]/.test(withoutAncestorSteps) || /position\(\)/.test(withoutAncestorSteps);
+    }
+
+    /**
+     * Lint one selector against every loaded hierarchy
+     */
+    static lintSelector(entry, hierarchies) {
+        const matches = {};
+        let supported = true;
+
+        hierarchies.forEach(({ name, document }) => {
+            let nodes;
+            try {
+                nodes = this.evaluate(entry.selector, document);
+            } catch (error) {
+                throw new Error(`Getter "${entry.getter}" has an invalid selector ${entry.selector}: ${error.message}`);
+            }
+            if (nodes === null) {
+                supported = false;
+                return;
+            }
+            matches[name] = nodes.length;
+        });
+
+        const issues = [];
+        const counts = Object.values(matches);
+
+        if (!supported) {
+            issues.push({ level: 'info', type: 'unchecked', message: 'Selector strategy cannot be evaluated offline' });
+        } else if (counts.every(count => count === 0)) {
+            issues.push({ level: 'error', type: 'zero-match', message: 'Matches nothing in any captured hierarchy' });
+        } else if (!entry.multiple && counts.some(count => count > 1)) {
+            issues.push({ level: 'warning', type: 'multi-match', message: `Matches up to ${Math.max(...counts)} elements; $() silently uses the first` });
+        }
+
+        if (this.isIndexFragile(entry.selector)) {
+            issues.push({ level: 'warning', type: 'index-fragile', message: 'Relies on element position; breaks when sibling order changes' });
+        }
+
+        return { ...entry, matches, issues };
+    }
+
+    /**
+     * Judge chain strategies together: a chain only breaks when no strategy matches,
+     * and a chain that only matches through a fallback would be healed at runtime
+     */
+    static lintChains(results) {
+        const chains = {};
+        results.filter(r => r.strategy).forEach(r => {
+            (chains[r.getter] = chains[r.getter] || []).push(r);
+        });
+
+        Object.values(chains).forEach(strategies => {
+            const isZero = r => r.issues.some(i => i.type === 'zero-match');
+            const firstWorking = strategies.find(r => !isZero(r));
+
+            strategies.forEach(r => {
+                if (!isZero(r) || !firstWorking) {
+                    return;
+                }
+                r.issues = r.issues.filter(i => i.type !== 'zero-match');
+                if (r.chainIndex === 0) {
+                    r.issues.push({ level: 'warning', type: 'fallback-only', message: `Primary strategy matches nothing; locator would be healed by ${firstWorking.strategy}` });
+                } else {
+                    r.issues.push({ level: 'info', type: 'unused-fallback', message: 'Fallback strategy matches nothing' });
+                }
+            });
+        });
+    }
+
+    /**
+     * Lint a page object against one or more page-source XML files
+     */
+    static lint(pageObject, xmlPaths) {
+        const hierarchies = xmlPaths.map(xmlPath => ({
+            name: path.basename(xmlPath),
+            document: UiHierarchy.load(xmlPath)
+        }));
+
+        const results = this.collectSelectors(pageObject).map(entry => this.lintSelector(entry, hierarchies));
+        this.lintChains(results);
+        const count = level => results.reduce((sum, r) => sum + r.issues.filter(i => i.level === level).length, 0);
+
+        return {
+            hierarchies: hierarchies.map(h => h.name),
+            results,
+            summary: {
+                selectors: results.length,
+                errors: count('error'),
+                warnings: count('warning'),
+                clean: results.filter(r => r.issues.length === 0).length
+            }
+        };
+    }
+
+    /**
+     * Render a lint report as console text
+     */
+    static formatReport(pageName, report) {
+        const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+        const lines = [`\n📋 ${pageName} (${report.hierarchies.join(', ')})`];
+
+        report.results.forEach(result => {
+            const label = result.strategy ? `${result.getter}[${result.strategy}]` : result.getter;
+            const matchInfo = Object.entries(result.matches).map(([file, count]) => `${file}: ${count}`).join(', ');
+            if (result.issues.length === 0) {
+                lines.push(`  ✅ ${label} [${matchInfo}]`);
+                return;
+            }
+            result.issues.forEach(issue => {
+                lines.push(`  ${icons[issue.level]} ${label} ${issue.type}: ${issue.message}`);
+            });
+            lines.push(`       ${result.selector}${matchInfo ? ` [${matchInfo}]` : ''}`);
+        });
+
+        const { selectors, errors, warnings, clean } = report.summary;
+        lines.push(`  ${selectors} selectors: ${clean} clean, ${errors} errors, ${warnings} warnings`);
+        return lines.join('\n');
+    }
+}
+
+module.exports = SelectorLinter;
@@ -0,0 +1,56 @@
+/**
+ * Step Dependencies
+ * Lets a test step declare the steps it builds on (Harvesting needs Dome to
+ * have expanded) and records it as skipped, with the reason, when one of
+ * them did not pass. Also resolves the continue-on-failure mode.
+ */
+
+class StepDependencies {
+
+    /**
+     * Continue after a failed step when --continue-on-failure is passed
+     * or CONTINUE_ON_FAILURE is set to 1/true
+     */
+    static continueOnFailure({ argv = process.argv, env = process.env } = {}) {
+        return argv.includes('--continue-on-failure') || ['1', 'true'].includes(String(env.CONTINUE_ON_FAILURE).toLowerCase());
+    }
+
+    /**
+     * Why a step cannot run, or null when every dependency passed
+     */
+    static skipReason(testResults, dependsOn = []) {
+        for (const name of dependsOn) {
+            const dependency = testResults.tests.filter(test => test.name === name).pop();
+            if (!dependency) {
+                return `Depends on "${name}", which has not run`;
+            }
+            if (dependency.status === 'skipped') {
+                return `Depends on "${name}", which was skipped`;
+            }
+            if (dependency.status !== 'passed') {
+                return `Depends on "${name}", which failed`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Record a step that was not run
+     */
+    static recordSkipped(testResults, testName, reason, fields = {}) {
+        console.log(`⏭️  ${testName}: SKIPPED - ${reason}`);
+        testResults.tests.push({
+            name: testName,
+            status: 'skipped',
+            startTime: new Date().toISOString(),
+            duration: 0,
+            reason,
+            screenshots: [],
+            ...fields
+        });
+        testResults.summary.skipped = (testResults.summary.skipped || 0) + 1;
+        testResults.summary.total++;
+    }
+}
+
+module.exports = StepDependencies;
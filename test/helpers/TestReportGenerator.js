@@ -1,36 +1,44 @@
 /**
  * Test Report Generator
- * Generates comprehensive HTML reports for Appium test results
+ * Generates comprehensive HTML reports for Appium test results. The markup
+ * comes from the templates in test/report/templates (rendered with
+ * HtmlTemplate, which escapes every value) and the colours and branding
+ * from a ReportTheme.
  */
 
 const fs = require('fs');
 const path = require('path');
+const RunOutput = require('./RunOutput');
+const RunHistory = require('./RunHistory');
+const ReportWriters = require('./ReportWriters');
+const ReportTheme = require('./ReportTheme');
+const HtmlTemplate = require('./HtmlTemplate');
+const Duration = require('./Duration');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'report', 'templates');
 
 class TestReportGenerator {
     
     /**
-     * Generate comprehensive HTML report
+     * Write the report formats selected by ReportWriters into the run directory, finish the run
+     * (latest pointer, run index, retention) and add it to the run history. Returns the path
+     * of the HTML report, or of the first format written when HTML is not selected.
      */
     static async generateComprehensiveReport(testResults) {
         try {
-            // Ensure directories exist
-            this.ensureDirectories();
-            
-            // Generate HTML content
-            const htmlContent = this.generateHtmlContent(testResults);
-            
-            // Save HTML report
-            const reportPath = path.join('./test-results', 'comprehensive_test_report.html');
-            fs.writeFileSync(reportPath, htmlContent);
-            
-            // Save JSON results
-            const jsonPath = path.join('./test-results', 'test_results.json');
-            fs.writeFileSync(jsonPath, JSON.stringify(testResults, null, 2));
+            const run = RunOutput.current();
+            testResults.run = { id: run.id, dir: run.dir, device: run.device, app: run.app, apk: run.apk, apkVersion: run.apkVersion };
             
-            console.log(`📄 HTML Report: ${reportPath}`);
-            console.log(`📊 JSON Results: ${jsonPath}`);
+            // Write the configured formats (HTML, JSON, JUnit XML, ...) from the same results
+            const written = ReportWriters.writeAll(testResults, file => RunOutput.path(file));
+
+            RunOutput.finish(testResults);
+
+            // Append to the history that outlives pruned runs and refresh the trends page
+            const history = RunHistory.append(testResults);
+            console.log(`📈 Trends: ${RunHistory.writeTrends(history, RunOutput.options().root)}`);
             
-            return reportPath;
+            return written.html || Object.values(written)[0];
         } catch (error) {
             console.error('❌ Error generating report:', error.message);
             throw error;
@@ -38,126 +46,28 @@ class TestReportGenerator {
     }
     
     /**
-     * Generate HTML content for the report
+     * Render the HTML report through the report templates (test/report/templates, overridable
+     * per template) with the selected theme. Every value the templates interpolate is escaped.
      */
-    static generateHtmlContent(testResults) {
-        const duration = testResults.endTime && testResults.startTime ? 
-            new Date(testResults.endTime) - new Date(testResults.startTime) : 0;
-        
-        const durationFormatted = this.formatDuration(duration);
-        
-        return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Production Data Collection App - Test Report</title>
-    <style>
-        ${this.getStyles()}
-    </style>
-</head>
-<body>
-    <div class="container">
-        <header class="header">
-            <h1>🧪 Production Data Collection App</h1>
-            <h2>Comprehensive Test Report</h2>
-            <div class="timestamp">Generated: ${new Date().toLocaleString()}</div>
-        </header>
-
-        <div class="summary-section">
-            <h3>📊 Test Summary</h3>
-            <div class="summary-grid">
-                <div class="summary-card total">
-                    <div class="summary-number">${testResults.summary.total}</div>
-                    <div class="summary-label">Total Tests</div>
-                </div>
-                <div class="summary-card passed">
-                    <div class="summary-number">${testResults.summary.passed}</div>
-                    <div class="summary-label">Passed</div>
-                </div>
-                <div class="summary-card failed">
-                    <div class="summary-number">${testResults.summary.failed}</div>
-                    <div class="summary-label">Failed</div>
-                </div>
-                <div class="summary-card success-rate">
-                    <div class="summary-number">${testResults.summary.successRate.toFixed(1)}%</div>
-                    <div class="summary-label">Success Rate</div>
-                </div>
-            </div>
-            <div class="execution-info">
-                <p><strong>Suite:</strong> ${testResults.suiteName}</p>
-                <p><strong>Start Time:</strong> ${new Date(testResults.startTime).toLocaleString()}</p>
-                <p><strong>End Time:</strong> ${new Date(testResults.endTime).toLocaleString()}</p>
-                <p><strong>Duration:</strong> ${durationFormatted}</p>
-            </div>
-        </div>
-
-        <div class="tests-section">
-            <h3>🔍 Test Details</h3>
-            ${this.generateTestDetails(testResults.tests)}
-        </div>
+    static generateHtmlContent(testResults, { options = ReportTheme.options() } = {}) {
+        const theme = ReportTheme.load(options.theme);
+        const directories = [options.templates, theme.templates, TEMPLATES_DIR].filter(Boolean);
 
-        <div class="screenshots-section">
-            <h3>📸 Screenshots</h3>
-            <p>Screenshots are saved in the <code>./screenshots/</code> directory.</p>
-            <div class="screenshot-info">
-                <p>📁 <strong>Screenshot Directory:</strong> ./screenshots/</p>
-                <p>🔍 <strong>Naming Convention:</strong> [action]_[timestamp].png</p>
-            </div>
-        </div>
-
-        <div class="technical-details">
-            <h3>⚙️ Technical Details</h3>
-            <div class="tech-grid">
-                <div class="tech-item">
-                    <strong>Test Framework:</strong> WebdriverIO + Mocha
-                </div>
-                <div class="tech-item">
-                    <strong>Automation:</strong> Appium UiAutomator2
-                </div>
-                <div class="tech-item">
-                    <strong>Platform:</strong> Android
-                </div>
-                <div class="tech-item">
-                    <strong>App:</strong> app-dev-release.apk
-                </div>
-            </div>
-        </div>
+        const render = HtmlTemplate.renderer(directories, {
+            formatDuration: Duration.format,
+            formatSeconds,
+            statusOf,
+            relativePath: file => path.relative(RunOutput.current().dir, file).split(path.sep).join('/'),
+            embedImage
+        });
 
-        <footer class="footer">
-            <p>Generated by Appium Test Suite - ${new Date().getFullYear()}</p>
-        </footer>
-    </div>
-</body>
-</html>`;
-    }
-    
-    /**
-     * Generate test details HTML
-     */
-    static generateTestDetails(tests) {
-        return tests.map((test, index) => {
-            const statusIcon = test.status === 'passed' ? '✅' : '❌';
-            const statusClass = test.status === 'passed' ? 'test-passed' : 'test-failed';
-            const duration = this.formatDuration(test.duration);
-            
-            return `
-            <div class="test-item ${statusClass}">
-                <div class="test-header">
-                    <span class="test-status">${statusIcon}</span>
-                    <h4 class="test-name">${test.name}</h4>
-                    <span class="test-duration">${duration}</span>
-                </div>
-                <div class="test-details">
-                    <p><strong>Status:</strong> ${test.status.toUpperCase()}</p>
-                    <p><strong>Details:</strong> ${test.details || 'No additional details'}</p>
-                    ${test.error ? `<p class="error-message"><strong>Error:</strong> ${test.error}</p>` : ''}
-                    ${test.screenshots && test.screenshots.length > 0 ? 
-                        `<p><strong>Screenshots:</strong> ${test.screenshots.join(', ')}</p>` : ''}
-                </div>
-            </div>`;
-        }).join('');
+        return render('page', {
+            testResults,
+            theme,
+            logo: ReportTheme.logoSource(theme),
+            styles: HtmlTemplate.raw(`${this.getStyles()}\n${ReportTheme.toCss(theme)}`),
+            script: HtmlTemplate.raw(this.getScript())
+        }).toString();
     }
     
     /**
@@ -174,8 +84,8 @@ class TestReportGenerator {
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             line-height: 1.6;
-            color: #333;
-            background-color: #f5f7fa;
+            color: var(--text);
+            background-color: var(--background);
         }
         
         .container {
@@ -185,8 +95,8 @@ class TestReportGenerator {
         }
         
         .header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
+            background: linear-gradient(135deg, var(--header-start) 0%, var(--header-end) 100%);
+            color: var(--header-text);
             padding: 30px;
             border-radius: 10px;
             text-align: center;
@@ -205,13 +115,23 @@ class TestReportGenerator {
             margin-bottom: 15px;
         }
         
+        .brand-logo {
+            max-height: 60px;
+            margin-bottom: 10px;
+        }
+        
+        .brand-company {
+            font-size: 0.9em;
+            opacity: 0.8;
+        }
+        
         .timestamp {
             font-size: 0.9em;
             opacity: 0.8;
         }
         
-        .summary-section, .tests-section, .screenshots-section, .technical-details {
-            background: white;
+        .summary-section, .timeline-section, .tests-section, .healed-section, .screenshots-section, .technical-details {
+            background: var(--surface);
             padding: 25px;
             border-radius: 10px;
             margin-bottom: 25px;
@@ -232,10 +152,12 @@ class TestReportGenerator {
             color: white;
         }
         
-        .summary-card.total { background: #3498db; }
-        .summary-card.passed { background: #2ecc71; }
-        .summary-card.failed { background: #e74c3c; }
-        .summary-card.success-rate { background: #9b59b6; }
+        .summary-card.total { background: var(--accent); }
+        .summary-card.passed { background: var(--passed); }
+        .summary-card.failed { background: var(--failed); }
+        .summary-card.skipped { background: var(--skipped); }
+        .summary-card.flaky { background: var(--flaky); }
+        .summary-card.success-rate { background: var(--rate); }
         
         .summary-number {
             font-size: 2.5em;
@@ -249,33 +171,156 @@ class TestReportGenerator {
         }
         
         .execution-info {
-            background: #f8f9fa;
+            background: var(--surface-alt);
             padding: 20px;
             border-radius: 8px;
-            border-left: 4px solid #3498db;
+            border-left: 4px solid var(--accent);
         }
         
         .test-item {
-            border: 1px solid #e1e8ed;
+            border: 1px solid var(--border);
             border-radius: 8px;
             margin-bottom: 15px;
             overflow: hidden;
         }
         
         .test-item.test-passed {
-            border-left: 4px solid #2ecc71;
+            border-left: 4px solid var(--passed);
         }
         
         .test-item.test-failed {
-            border-left: 4px solid #e74c3c;
+            border-left: 4px solid var(--failed);
+        }
+        
+        .test-item.test-skipped {
+            border-left: 4px solid var(--skipped);
+            opacity: 0.85;
+        }
+        
+        .flaky-badge {
+            background: var(--flaky);
+            color: white;
+            font-size: 0.7em;
+            padding: 2px 8px;
+            border-radius: 10px;
+            vertical-align: middle;
+        }
+        
+        .test-attempts {
+            margin-top: 10px;
+        }
+        
+        .attempts-list {
+            margin: 5px 0 0 20px;
+            font-size: 0.9em;
+        }
+        
+        .attempt-failed {
+            color: var(--failed);
+        }
+        
+        .attempt-passed {
+            color: var(--passed-text);
+        }
+        
+        .skip-reason {
+            color: var(--muted);
+            font-style: italic;
+        }
+        
+        .test-screenshots {
+            margin-top: 10px;
+        }
+        
+        .screenshot-thumbs {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            margin-top: 5px;
+        }
+        
+        .screenshot-thumb {
+            margin: 0;
+            text-align: center;
+            font-size: 0.8em;
+            color: var(--muted);
+        }
+        
+        .screenshot-thumb img {
+            width: 90px;
+            border: 1px solid var(--border);
+            border-radius: 4px;
+            cursor: zoom-in;
+        }
+        
+        .screenshot-lightbox {
+            display: none;
+            position: fixed;
+            inset: 0;
+            z-index: 100;
+            background: rgba(0, 0, 0, 0.85);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            color: white;
+            text-decoration: none;
+            cursor: zoom-out;
+        }
+        
+        .screenshot-lightbox:target {
+            display: flex;
+        }
+        
+        .screenshot-lightbox img {
+            width: auto;
+            max-width: 90vw;
+            max-height: 85vh;
+            border: none;
+            cursor: zoom-out;
+        }
+        
+        .screenshot-lightbox span {
+            margin-top: 10px;
+        }
+        
+        .test-visual {
+            margin-top: 10px;
+        }
+        
+        .visual-list {
+            margin: 5px 0 0 20px;
+            font-size: 0.9em;
+            list-style: none;
+        }
+        
+        .visual-failed {
+            color: var(--failed);
+        }
+        
+        .visual-images {
+            display: flex;
+            gap: 10px;
+            margin: 8px 0;
+        }
+        
+        .visual-images figure {
+            margin: 0;
+            text-align: center;
+            color: var(--muted);
+        }
+        
+        .visual-images img {
+            width: 180px;
+            border: 1px solid var(--border);
+            border-radius: 4px;
         }
         
         .test-header {
             display: flex;
             align-items: center;
             padding: 15px 20px;
-            background: #f8f9fa;
-            border-bottom: 1px solid #e1e8ed;
+            background: var(--surface-alt);
+            border-bottom: 1px solid var(--border);
         }
         
         .test-status {
@@ -286,11 +331,11 @@ class TestReportGenerator {
         .test-name {
             flex: 1;
             font-size: 1.1em;
-            color: #2c3e50;
+            color: var(--heading);
         }
         
         .test-duration {
-            color: #7f8c8d;
+            color: var(--muted);
             font-size: 0.9em;
         }
         
@@ -299,15 +344,69 @@ class TestReportGenerator {
         }
         
         .error-message {
-            color: #e74c3c;
-            background: #fdf2f2;
+            color: var(--failed);
+            background: var(--error-background);
             padding: 10px;
             border-radius: 4px;
             margin-top: 10px;
+            white-space: pre-wrap;
+        }
+        
+        .healed-note {
+            color: var(--flaky-text);
+        }
+
+        .diagnostics {
+            background: var(--surface-alt);
+            border-left: 3px solid var(--failed);
+            padding: 8px 10px;
+            border-radius: 4px;
+        }
+
+        .test-inputs {
+            margin-top: 10px;
+        }
+        
+        .inputs-table {
+            border-collapse: collapse;
+            margin-top: 5px;
+            font-size: 0.9em;
+        }
+        
+        .inputs-table th, .inputs-table td {
+            text-align: left;
+            padding: 4px 12px 4px 0;
+            border-bottom: 1px solid var(--border);
+        }
+        
+        .inputs-table th {
+            color: var(--muted);
+            font-weight: 600;
+        }
+        
+        .healed-section {
+            border-left: 4px solid var(--flaky);
+        }
+        
+        .healed-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 15px;
+        }
+        
+        .healed-table th, .healed-table td {
+            text-align: left;
+            padding: 10px;
+            border-bottom: 1px solid var(--border);
+            vertical-align: top;
+        }
+        
+        .healed-table th {
+            background: var(--warning-background);
         }
         
         .screenshot-info, .tech-grid {
-            background: #f8f9fa;
+            background: var(--surface-alt);
             padding: 20px;
             border-radius: 8px;
             margin-top: 15px;
@@ -321,32 +420,190 @@ class TestReportGenerator {
         
         .tech-item {
             padding: 10px;
-            background: white;
+            background: var(--surface);
             border-radius: 4px;
-            border-left: 3px solid #3498db;
+            border-left: 3px solid var(--accent);
         }
         
         .footer {
             text-align: center;
             padding: 20px;
-            color: #7f8c8d;
-            border-top: 1px solid #e1e8ed;
+            color: var(--muted);
+            border-top: 1px solid var(--border);
             margin-top: 30px;
         }
         
         code {
-            background: #f1f2f6;
+            background: var(--surface-alt);
             padding: 2px 6px;
             border-radius: 3px;
             font-family: 'Monaco', 'Consolas', monospace;
         }
         
+        a {
+            color: var(--accent);
+        }
+        
         h3 {
-            color: #2c3e50;
+            color: var(--heading);
             margin-bottom: 20px;
             font-size: 1.4em;
         }
         
+        .report-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 20px;
+        }
+        
+        .report-toolbar button {
+            border: 1px solid var(--border);
+            background: var(--surface);
+            color: var(--text);
+            border-radius: 15px;
+            padding: 5px 12px;
+            cursor: pointer;
+            font-size: 0.9em;
+        }
+        
+        .report-toolbar .filter-button.active {
+            background: var(--accent);
+            border-color: var(--accent);
+            color: white;
+        }
+        
+        .filter-button span {
+            opacity: 0.7;
+        }
+        
+        #test-search {
+            flex: 1;
+            min-width: 200px;
+            padding: 6px 12px;
+            border: 1px solid var(--border);
+            background: var(--surface);
+            color: var(--text);
+            border-radius: 15px;
+        }
+        
+        #match-count, #no-matches {
+            color: var(--muted);
+            font-size: 0.9em;
+        }
+        
+        .test-header[role="button"] {
+            cursor: pointer;
+        }
+        
+        .test-header[role="button"]::before {
+            content: '▾';
+            margin-right: 10px;
+            color: var(--muted);
+        }
+        
+        .test-item.collapsed .test-header::before {
+            content: '▸';
+        }
+        
+        .test-item.collapsed .test-details {
+            display: none;
+        }
+        
+        .test-item.collapsed .test-header {
+            border-bottom: none;
+        }
+        
+        .timeline-row {
+            display: grid;
+            grid-template-columns: 260px 1fr 60px;
+            align-items: center;
+            gap: 10px;
+            padding: 2px 0;
+        }
+        
+        .timeline-row.dimmed {
+            opacity: 0.3;
+        }
+        
+        .timeline-label {
+            color: var(--heading);
+            font-size: 0.85em;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            text-decoration: none;
+        }
+        
+        .timeline-track {
+            position: relative;
+            height: 20px;
+            background: var(--surface-alt);
+            border-radius: 3px;
+        }
+        
+        .timeline-bar, .timeline-idle, .timeline-tick, .timeline-attempt {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+        }
+        
+        .timeline-bar {
+            min-width: 2px;
+            border-radius: 3px;
+            overflow: hidden;
+        }
+        
+        .timeline-bar.bar-passed { background: var(--passed); }
+        .timeline-bar.bar-failed { background: var(--failed); }
+        .timeline-bar.bar-skipped { background: var(--skipped); }
+        .timeline-bar.bar-flaky { background: var(--flaky); }
+        
+        .timeline-attempt {
+            border-right: 2px solid var(--surface);
+        }
+        
+        .timeline-attempt.attempt-failed {
+            background: rgba(231, 76, 60, 0.6);
+        }
+        
+        .timeline-idle {
+            background: repeating-linear-gradient(45deg, var(--border), var(--border) 3px, transparent 3px, transparent 6px);
+        }
+        
+        .timeline-tick {
+            width: 2px;
+            background: var(--heading);
+            opacity: 0.6;
+        }
+        
+        .timeline-duration {
+            color: var(--muted);
+            font-size: 0.85em;
+            text-align: right;
+        }
+        
+        .timeline-axis .timeline-track {
+            background: none;
+            height: 16px;
+        }
+        
+        .timeline-axis .timeline-track span {
+            position: absolute;
+            transform: translateX(-50%);
+            color: var(--muted);
+            font-size: 0.75em;
+        }
+        
+        .timeline-axis .timeline-track span:first-child {
+            transform: none;
+        }
+        
+        .timeline-axis .timeline-track span:last-child {
+            transform: translateX(-100%);
+        }
+        
         @media (max-width: 768px) {
             .container {
                 padding: 10px;
@@ -365,42 +622,121 @@ class TestReportGenerator {
                 align-items: flex-start;
                 gap: 10px;
             }
+            
+            .timeline-row {
+                grid-template-columns: 120px 1fr 50px;
+            }
         }`;
     }
     
     /**
-     * Format duration in milliseconds to readable format
-     */
-    static formatDuration(ms) {
-        if (!ms || ms < 0) return '0ms';
-        
-        const seconds = Math.floor(ms / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const hours = Math.floor(minutes / 60);
-        
-        if (hours > 0) {
-            return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
-        } else if (minutes > 0) {
-            return `${minutes}m ${seconds % 60}s`;
-        } else if (seconds > 0) {
-            return `${seconds}s`;
-        } else {
-            return `${ms}ms`;
-        }
-    }
-    
-    /**
-     * Ensure required directories exist
+     * Script of the report: status filters, search, collapsible steps and opening a
+     * step from the timeline. Inline, so the report works offline as a single file.
      */
-    static ensureDirectories() {
-        const dirs = ['test-results', 'screenshots'];
-        dirs.forEach(dir => {
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-                console.log(`📁 Created directory: ${dir}`);
+    static getScript() {
+        return `
+        (function () {
+            var items = Array.prototype.slice.call(document.querySelectorAll('.test-item'));
+            var search = document.getElementById('test-search');
+            var filter = 'all';
+
+            function setExpanded(item, expanded) {
+                item.classList.toggle('collapsed', !expanded);
+                item.querySelector('.test-header').setAttribute('aria-expanded', String(expanded));
             }
-        });
+
+            function apply() {
+                var terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+                var shown = 0;
+                items.forEach(function (item) {
+                    var matchesFilter = filter === 'all' ||
+                        (filter === 'flaky' ? item.dataset.flaky === 'true' : item.dataset.status === filter);
+                    var matchesSearch = terms.every(function (term) { return item.dataset.search.indexOf(term) !== -1; });
+                    item.hidden = !(matchesFilter && matchesSearch);
+                    var row = document.querySelector('.timeline-row[data-test="' + item.id + '"]');
+                    if (row) {
+                        row.classList.toggle('dimmed', item.hidden);
+                    }
+                    shown += item.hidden ? 0 : 1;
+                });
+                document.getElementById('match-count').textContent = shown + ' of ' + items.length + ' shown';
+                document.getElementById('no-matches').hidden = shown > 0;
+            }
+
+            function setFilter(name) {
+                filter = name;
+                document.querySelectorAll('.filter-button').forEach(function (button) {
+                    button.classList.toggle('active', button.dataset.filter === name);
+                });
+                apply();
+            }
+
+            // Open the step a #test-N link (e.g. a timeline bar) points at, even when filtered out
+            function openFromHash() {
+                var item = location.hash && document.getElementById(location.hash.slice(1));
+                if (!item || !item.classList.contains('test-item')) {
+                    return;
+                }
+                if (item.hidden) {
+                    search.value = '';
+                    setFilter('all');
+                }
+                setExpanded(item, true);
+                item.scrollIntoView();
+            }
+
+            // Failed and flaky steps start open, the others collapsed
+            items.forEach(function (item) {
+                var header = item.querySelector('.test-header');
+                setExpanded(item, item.dataset.status === 'failed' || item.dataset.flaky === 'true');
+                header.addEventListener('click', function () {
+                    setExpanded(item, item.classList.contains('collapsed'));
+                });
+                header.addEventListener('keydown', function (event) {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        header.click();
+                    }
+                });
+            });
+            document.querySelectorAll('.filter-button').forEach(function (button) {
+                button.addEventListener('click', function () { setFilter(button.dataset.filter); });
+            });
+            document.querySelectorAll('[data-toggle-all]').forEach(function (button) {
+                button.addEventListener('click', function () {
+                    items.forEach(function (item) { setExpanded(item, button.dataset.toggleAll === 'expand'); });
+                });
+            });
+            search.addEventListener('input', apply);
+            window.addEventListener('hashchange', openFromHash);
+            apply();
+            openFromHash();
+        })();`;
+    }
+}
+
+/**
+ * Status a test is filtered and coloured by: passed, failed or skipped
+ */
+function statusOf(test) {
+    return test.status === 'passed' || test.status === 'skipped' ? test.status : 'failed';
+}
+
+/**
+ * Duration with tenths of a second, fine enough to spot pauses on the timeline
+ */
+function formatSeconds(ms) {
+    return ms >= 60000 ? `${Math.floor(ms / 60000)}m ${((ms % 60000) / 1000).toFixed(1)}s` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * PNG embedded as a data URI, so the report stays a single file (null when missing)
+ */
+function embedImage(file) {
+    if (!fs.existsSync(file)) {
+        return null;
     }
+    return `data:image/png;base64,${fs.readFileSync(file).toString('base64')}`;
 }
 
 module.exports = TestReportGenerator;
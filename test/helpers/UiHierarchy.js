@@ -0,0 +1,122 @@
+/**
+ * UI Hierarchy
+ * Parses UiAutomator2 page-source XML (as saved by discover-elements.js)
+ * and evaluates XPath selectors against it without a device
+ */
+
+const fs = require('fs');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const xpath = require('xpath');
+
+const ELEMENT_NODE = 1;
+
+class UiHierarchy {
+
+    /**
+     * Parse a page-source XML string into a DOM document
+     */
+    static parse(xml) {
+        const errors = [];
+        const document = new DOMParser({
+            onError: (level, message) => {
+                if (level !== 'warning') {
+                    errors.push(message);
+                }
+            }
+        }).parseFromString(xml, 'text/xml');
+
+        if (errors.length > 0 || !document.documentElement) {
+            throw new Error(`Invalid page source XML: ${errors[0] || 'no root element'}`);
+        }
+        return document;
+    }
+
+    /**
+     * Serialize a (possibly modified) document back to page-source XML
+     */
+    static serialize(document) {
+        return `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>\n${new XMLSerializer().serializeToString(document.documentElement)}`;
+    }
+
+    /**
+     * Load and parse a page-source XML file
+     */
+    static load(filePath) {
+        try {
+            return this.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not load hierarchy ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Evaluate an XPath expression and return the matching element nodes
+     */
+    static select(contextNode, expression) {
+        const result = xpath.select(expression, contextNode);
+        const nodes = Array.isArray(result) ? result : [];
+        return nodes.filter(node => node.nodeType === ELEMENT_NODE);
+    }
+
+    /**
+     * All elements below (and excluding) the <hierarchy> root, in document order
+     */
+    static elements(document) {
+        return this.select(document, '/hierarchy//*');
+    }
+
+    /**
+     * Child elements of a node
+     */
+    static children(node) {
+        return Array.from(node.childNodes || []).filter(child => child.nodeType === ELEMENT_NODE);
+    }
+
+    /**
+     * Attribute map of an element node
+     */
+    static attributes(node) {
+        const attributes = {};
+        Array.from(node.attributes || []).forEach(attribute => {
+            attributes[attribute.name] = attribute.value;
+        });
+        return attributes;
+    }
+
+    /**
+     * Parse an Android bounds attribute "[x1,y1][x2,y2]" into a rect
+     */
+    static parseBounds(bounds) {
+        const match = /\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]/.exec(bounds || '');
+        if (!match) {
+            return null;
+        }
+        const [x1, y1, x2, y2] = match.slice(1).map(Number);
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    }
+
+    /**
+     * Walk up from a node to the nearest clickable element (the node itself included)
+     */
+    static clickableAncestor(node) {
+        let current = node;
+        while (current && current.nodeType === ELEMENT_NODE) {
+            if (current.getAttribute('clickable') === 'true') {
+                return current;
+            }
+            current = current.parentNode;
+        }
+        return null;
+    }
+
+    /**
+     * Short human readable label for an element, used in logs and reports
+     */
+    static describe(node) {
+        const className = (node.getAttribute('class') || node.nodeName).split('.').pop();
+        const label = node.getAttribute('content-desc') || node.getAttribute('text') || node.getAttribute('resource-id');
+        return label ? `${className}("${label}")` : className;
+    }
+}
+
+module.exports = UiHierarchy;
@@ -0,0 +1,196 @@
+/**
+ * Visual Regression
+ * Compares named screenshots (before_dome_click, after_dome_expansion, ...)
+ * with baseline PNGs in test/baselines/<device profile>/. The pixel diff is
+ * pure JS (pngjs): a pixel differs when its colour distance exceeds the pixel
+ * threshold, and a screenshot fails when more than the threshold share of its
+ * unmasked pixels differ. Masks (masks.json next to the baselines) exclude the
+ * status bar and other dynamic areas. Failures are recorded, not thrown, so
+ * ScenarioRunner can fail the step that took the screenshot and the report
+ * can embed the baseline, screenshot and diff images.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const DeviceProfiles = require('./DeviceProfiles');
+const RunOutput = require('./RunOutput');
+
+// Every comparison of the run, in order
+const comparisons = [];
+
+const DEFAULT_THRESHOLD = 0.001;
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+class VisualRegression {
+
+    /**
+     * Run-wide settings: --update-baselines / UPDATE_BASELINES=1 accepts the current
+     * screenshots, --no-visual / VISUAL_REGRESSION=0 turns the comparison off,
+     * VISUAL_THRESHOLD (share of differing pixels, default 0.001), VISUAL_PIXEL_THRESHOLD
+     * (colour distance 0-1, default 0.1) and BASELINE_DIR override the defaults
+     */
+    static options({ argv = process.argv, env = process.env } = {}) {
+        const isSet = value => ['1', 'true'].includes(String(value).toLowerCase());
+        const isUnset = value => ['0', 'false'].includes(String(value).toLowerCase());
+        const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+        const directory = env.BASELINE_DIR || path.join('test', 'baselines', DeviceProfiles.resolve({ argv, env }).device.name);
+
+        return {
+            update: argv.includes('--update-baselines') || isSet(env.UPDATE_BASELINES),
+            enabled: !argv.includes('--no-visual') && !isUnset(env.VISUAL_REGRESSION),
+            threshold: number(env.VISUAL_THRESHOLD, DEFAULT_THRESHOLD),
+            pixelThreshold: number(env.VISUAL_PIXEL_THRESHOLD, DEFAULT_PIXEL_THRESHOLD),
+            directory,
+            masksFile: path.join(directory, 'masks.json'),
+            outputDirectory: RunOutput.path('visual')
+        };
+    }
+
+    /**
+     * Mask rectangles for a screenshot: the "*" entries of masks.json apply to every
+     * screenshot, named entries to that screenshot only
+     */
+    static masksFor(name, masksFile) {
+        if (!fs.existsSync(masksFile)) {
+            return [];
+        }
+        const masks = JSON.parse(fs.readFileSync(masksFile, 'utf8'));
+        return [...(masks['*'] || []), ...(masks[name] || [])];
+    }
+
+    /**
+     * Pixel diff of two decoded PNGs. Returns the counts and a diff image: the actual
+     * screenshot faded to grey, differing pixels in red and masked areas in blue.
+     */
+    static compare(baseline, actual, { pixelThreshold = DEFAULT_PIXEL_THRESHOLD, masks = [] } = {}) {
+        if (baseline.width !== actual.width || baseline.height !== actual.height) {
+            return {
+                sizeMismatch: true,
+                message: `size changed from ${baseline.width}×${baseline.height} to ${actual.width}×${actual.height}`,
+                differentPixels: actual.width * actual.height,
+                comparedPixels: actual.width * actual.height,
+                ratio: 1,
+                diff: null
+            };
+        }
+
+        const { width, height } = actual;
+        const masked = new Uint8Array(width * height);
+        masks.forEach(mask => {
+            for (let y = Math.max(0, mask.y); y < Math.min(height, mask.y + mask.height); y++) {
+                masked.fill(1, y * width + Math.max(0, mask.x), y * width + Math.min(width, mask.x + mask.width));
+            }
+        });
+
+        const diff = new PNG({ width, height });
+        // Largest possible distance between two RGB colours
+        const maxDistance = 255 * 255 * 3;
+        let differentPixels = 0;
+        let comparedPixels = 0;
+        for (let pixel = 0; pixel < width * height; pixel++) {
+            const offset = pixel * 4;
+            const dr = baseline.data[offset] - actual.data[offset];
+            const dg = baseline.data[offset + 1] - actual.data[offset + 1];
+            const db = baseline.data[offset + 2] - actual.data[offset + 2];
+            const grey = 255 - (255 - (actual.data[offset] + actual.data[offset + 1] + actual.data[offset + 2]) / 3) * 0.3;
+
+            let colour = [grey, grey, grey];
+            if (masked[pixel]) {
+                colour = [grey * 0.6, grey * 0.7, 255];
+            } else {
+                comparedPixels++;
+                if ((dr * dr + dg * dg + db * db) / maxDistance > pixelThreshold * pixelThreshold) {
+                    differentPixels++;
+                    colour = [255, 0, 0];
+                }
+            }
+            diff.data[offset] = colour[0];
+            diff.data[offset + 1] = colour[1];
+            diff.data[offset + 2] = colour[2];
+            diff.data[offset + 3] = 255;
+        }
+
+        return {
+            sizeMismatch: false,
+            differentPixels,
+            comparedPixels,
+            ratio: comparedPixels > 0 ? differentPixels / comparedPixels : 0,
+            diff
+        };
+    }
+
+    /**
+     * Compare a saved screenshot with the baseline of the same name and record the outcome.
+     * A missing baseline fails the comparison; with update enabled, missing baselines are
+     * created from the screenshot and differing ones replaced. Never throws for a visual difference.
+     */
+    static check(name, screenshotPath, { options = this.options() } = {}) {
+        if (!options.enabled) {
+            return null;
+        }
+
+        const baselinePath = path.join(options.directory, `${name}.png`);
+        const comparison = { name, baseline: baselinePath, actual: screenshotPath, threshold: options.threshold };
+
+        if (!fs.existsSync(baselinePath)) {
+            if (!options.update) {
+                const message = `missing baseline ${baselinePath} (run with --update-baselines to create it from this screenshot)`;
+                console.log(`❌ Screenshot "${name}": ${message}`);
+                return this.record({ ...comparison, status: 'failed', message });
+            }
+            this.writeBaseline(baselinePath, screenshotPath);
+            console.log(`🖼️  New baseline written: ${baselinePath}`);
+            return this.record({ ...comparison, status: 'written' });
+        }
+
+        const result = this.compare(
+            PNG.sync.read(fs.readFileSync(baselinePath)),
+            PNG.sync.read(fs.readFileSync(screenshotPath)),
+            { pixelThreshold: options.pixelThreshold, masks: this.masksFor(name, options.masksFile) }
+        );
+        const details = { ...comparison, ratio: result.ratio, differentPixels: result.differentPixels };
+        if (!result.sizeMismatch && result.ratio <= options.threshold) {
+            console.log(`✅ Screenshot "${name}" matches its baseline (${formatRatio(result.ratio)} different)`);
+            return this.record({ ...details, status: 'matched' });
+        }
+
+        let diffPath = null;
+        if (result.diff) {
+            fs.mkdirSync(options.outputDirectory, { recursive: true });
+            diffPath = path.join(options.outputDirectory, `${name}_diff.png`);
+            fs.writeFileSync(diffPath, PNG.sync.write(result.diff));
+        }
+        const message = result.sizeMismatch ? result.message :
+            `${formatRatio(result.ratio)} of the pixels differ (threshold ${formatRatio(options.threshold)})`;
+
+        if (options.update) {
+            this.writeBaseline(baselinePath, screenshotPath);
+            console.log(`🖼️  Baseline updated: ${baselinePath} (${message})`);
+            return this.record({ ...details, status: 'updated', diff: diffPath, message });
+        }
+
+        console.log(`❌ Screenshot "${name}" differs from its baseline: ${message}${diffPath ? ` (diff: ${diffPath})` : ''}`);
+        return this.record({ ...details, status: 'failed', diff: diffPath, message });
+    }
+
+    static writeBaseline(baselinePath, screenshotPath) {
+        fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+        fs.copyFileSync(screenshotPath, baselinePath);
+    }
+
+    static record(comparison) {
+        comparisons.push(comparison);
+        return comparison;
+    }
+
+    static getComparisons() {
+        return comparisons.map(comparison => ({ ...comparison }));
+    }
+}
+
+function formatRatio(ratio) {
+    return `${(ratio * 100).toFixed(2)}%`;
+}
+
+module.exports = VisualRegression;
@@ -3,33 +3,63 @@
  * Based on discovered UI elements from app inspection
  */
 
+const LocatorChain = require('../helpers/LocatorChain');
+const Gestures = require('../helpers/Gestures');
+const ScreenFingerprint = require('../helpers/ScreenFingerprint');
+const VisualRegression = require('../helpers/VisualRegression');
+const ScreenshotRegistry = require('../helpers/ScreenshotRegistry');
+const RunOutput = require('../helpers/RunOutput');
+
+const MAIN_TITLE = 'Production Data Collection';
+
+// Section tiles are located through fallback chains, most specific strategy first
+const LOCATORS = {
+    specimenSection: new LocatorChain('specimenSection', [
+        { type: 'contentDescContains', value: 'Specimen' },
+        { type: 'text', value: 'Specimen' },
+        { type: 'relativeToLabel', value: 'Specimen' }
+    ]),
+    domeSection: new LocatorChain('domeSection', [
+        { type: 'accessibilityId', value: 'Dome' },
+        { type: 'contentDesc', value: 'Dome' },
+        { type: 'relativeToLabel', value: 'Dome' }
+    ]),
+    harvestingSection: new LocatorChain('harvestingSection', [
+        { type: 'accessibilityId', value: 'Harvesting' },
+        { type: 'contentDesc', value: 'Harvesting' },
+        { type: 'relativeToLabel', value: 'Harvesting' }
+    ]),
+    mediaMoistureSection: new LocatorChain('mediaMoistureSection', [
+        { type: 'accessibilityId', value: 'Media Moisture' },
+        { type: 'contentDesc', value: 'Media Moisture' },
+        { type: 'relativeToLabel', value: 'Media Moisture' }
+    ])
+};
+
 class ProductionDataPage {
+
+    // Fallback locator chains backing the section getters
+    get locators() {
+        return LOCATORS;
+    }
     
     // Main Screen Elements
     get mainTitle() {
-        return $('//android.widget.TextView[@text="Production Data Collection"]');
+        return $(`//android.widget.TextView[@text="${MAIN_TITLE}"]`);
     }
     
     // Specimen Section Elements
     get specimenSection() {
-        return $('//*[contains(@content-desc, "Specimen")]');
+        return LOCATORS.specimenSection.find();
     }
 
     get specimenText() {
         return $('//android.widget.TextView[@text="Specimen"]');
     }
 
-    get specimenIcon() {
-        return $('//android.widget.TextView[@text="🧪"]');
-    }
-
-    get specimenSubIcon() {
-        return $('//android.widget.TextView[@text="🔬"]');
-    }
-
     // Dome Section Elements
     get domeSection() {
-        return $('//*[@content-desc="Dome"]');
+        return LOCATORS.domeSection.find();
     }
 
     get domeText() {
@@ -40,13 +70,9 @@ class ProductionDataPage {
         return $('//android.view.ViewGroup[@resource-id="icon-button-container"]//android.widget.Button[@resource-id="icon-button"]');
     }
 
-    get domeIcon() {
-        return $('//android.widget.TextView[@text="🏠"]');
-    }
-
     // Harvesting Section Elements
     get harvestingSection() {
-        return $('//*[@content-desc="Harvesting"]');
+        return LOCATORS.harvestingSection.find();
     }
 
     get harvestingText() {
@@ -57,13 +83,9 @@ class ProductionDataPage {
         return $('(//android.view.ViewGroup[@resource-id="icon-button-container"]//android.widget.Button[@resource-id="icon-button"])[2]');
     }
 
-    get harvestingIcon() {
-        return $('//android.widget.TextView[@text="🌾"]');
-    }
-
     // Media Moisture Section Elements
     get mediaMoistureSection() {
-        return $('//*[@content-desc="Media Moisture"]');
+        return LOCATORS.mediaMoistureSection.find();
     }
 
     get mediaMoistureText() {
@@ -73,10 +95,6 @@ class ProductionDataPage {
     get mediaMoistureIconButton() {
         return $('(//android.view.ViewGroup[@resource-id="icon-button-container"]//android.widget.Button[@resource-id="icon-button"])[3]');
     }
-
-    get mediaMoistureIcon() {
-        return $('//android.widget.TextView[@text="💧"]');
-    }
     
     // Scrollable Container
     get scrollView() {
@@ -112,17 +130,17 @@ class ProductionDataPage {
         console.log('Verifying main sections are displayed...');
         
         const sections = [
-            { element: this.specimenSection, name: 'Specimen' },
-            { element: this.domeSection, name: 'Dome' },
-            { element: this.harvestingSection, name: 'Harvesting' },
-            { element: this.mediaMoistureSection, name: 'Media Moisture' }
+            { locator: LOCATORS.specimenSection, name: 'Specimen' },
+            { locator: LOCATORS.domeSection, name: 'Dome' },
+            { locator: LOCATORS.harvestingSection, name: 'Harvesting' },
+            { locator: LOCATORS.mediaMoistureSection, name: 'Media Moisture' }
         ];
         
         const results = {};
         
         for (const section of sections) {
             try {
-                const isDisplayed = await section.element.isDisplayed();
+                const isDisplayed = await section.locator.isDisplayed();
                 results[section.name] = isDisplayed;
                 console.log(`${section.name} section: ${isDisplayed ? '✅ Visible' : '❌ Not visible'}`);
             } catch (error) {
@@ -140,105 +158,118 @@ class ProductionDataPage {
     async scrollToMakeElementsVisible() {
         try {
             console.log('Scrolling to ensure all elements are visible...');
-
-            // Try to find the scroll view
-            const scrollView = await browser.$('//android.widget.ScrollView');
-            if (await scrollView.isDisplayed()) {
-                // Scroll down a bit to reveal elements
-                await scrollView.touchAction([
-                    { action: 'press', x: 500, y: 1000 },
-                    { action: 'moveTo', x: 500, y: 700 },
-                    { action: 'release' }
-                ]);
-                await browser.pause(1000);
-            }
+            await Gestures.scroll({ direction: 'down', percent: 0.3, container: this.scrollView });
         } catch (error) {
             console.log(`Scroll attempt failed: ${error.message}`);
         }
     }
 
     /**
-     * Click on a specific section
+     * Click on a specific section and wait until the hierarchy has changed and settled.
+     * Resolves with the fingerprints before and after the click; throws if the screen never changed.
      */
     async clickSection(sectionName) {
         console.log(`Clicking on ${sectionName} section...`);
 
-        // First, try to scroll to make sure elements are visible
-        await this.scrollToMakeElementsVisible();
-
         const sectionMap = {
-            'specimen': this.specimenSection,
-            'dome': this.domeSection,
-            'harvesting': this.harvestingSection,
-            'mediaMoisture': this.mediaMoistureSection
+            'specimen': { locator: LOCATORS.specimenSection, label: 'Specimen' },
+            'dome': { locator: LOCATORS.domeSection, label: 'Dome' },
+            'harvesting': { locator: LOCATORS.harvestingSection, label: 'Harvesting' },
+            'mediamoisture': { locator: LOCATORS.mediaMoistureSection, label: 'Media Moisture' }
         };
 
-        const section = sectionMap[sectionName.toLowerCase()];
-        if (!section) {
+        const entry = sectionMap[sectionName.toLowerCase()];
+        if (!entry) {
             throw new Error(`Unknown section: ${sectionName}`);
         }
+        const { locator, label } = entry;
 
+        // Bring the tile on screen first; if its label has changed the locator chain can still heal
+        try {
+            await Gestures.scrollIntoView({ text: label, container: this.scrollView });
+        } catch (error) {
+            console.log(`Could not scroll ${label} into view: ${error.message}`);
+        }
+
+        const section = await locator.find({ timeout: 10000 });
         await section.waitForDisplayed({ timeout: 10000 });
+
+        const before = await ScreenFingerprint.capture();
         await section.click();
-        await browser.pause(2000); // Wait for any navigation or state change
+        try {
+            await ScreenFingerprint.waitForScreenChange(before);
+        } catch (error) {
+            throw new Error(`Clicking ${sectionName} had no effect: ${error.message}`);
+        }
+        const after = await ScreenFingerprint.waitForScreenStable();
+
         await this.takeScreenshot(`after_clicking_${sectionName.toLowerCase()}`);
+        return { before, after };
     }
 
     /**
-     * Check if Dome section is expanded (Harvesting and Media Moisture are visible)
+     * Whether a fingerprint shows the Production Data Collection screen
      */
-    async isDomeExpanded() {
-        try {
-            const harvestingVisible = await this.harvestingSection.isDisplayed();
-            const mediaMoistureVisible = await this.mediaMoistureSection.isDisplayed();
-            return harvestingVisible && mediaMoistureVisible;
-        } catch (error) {
-            console.log(`Could not check Dome expansion status: ${error.message}`);
-            return false;
+    isMainScreen(fingerprint) {
+        return fingerprint.landmarks.includes(MAIN_TITLE);
+    }
+
+    /**
+     * Click a navigation tile and verify that the app left the main screen
+     */
+    async navigateToSection(sectionName) {
+        const transition = await this.clickSection(sectionName);
+        if (this.isMainScreen(transition.after)) {
+            throw new Error(`Clicking ${sectionName} changed the hierarchy but did not navigate away from the ${MAIN_TITLE} screen`);
         }
+        return transition;
+    }
+
+    /**
+     * Click an accordion tile unless the labels it reveals are already shown.
+     * Resolves with the fingerprint of the expanded screen.
+     */
+    async ensureExpanded(sectionName, reveals) {
+        const current = await ScreenFingerprint.capture();
+        if (reveals.every(label => current.landmarks.includes(label))) {
+            console.log(`${sectionName} is already expanded`);
+            return current;
+        }
+        console.log(`${sectionName} is not expanded, expanding now...`);
+        const { after } = await this.clickSection(sectionName);
+        return after;
     }
 
     /**
      * Ensure Dome is expanded before accessing Harvesting or Media Moisture
      */
     async ensureDomeExpanded() {
-        const isExpanded = await this.isDomeExpanded();
-        if (!isExpanded) {
-            console.log('Dome is not expanded, expanding now...');
-            await this.clickSection('dome');
-            await browser.pause(2000);
-        } else {
-            console.log('Dome is already expanded');
-        }
+        return await this.ensureExpanded('Dome', ['Harvesting', 'Media Moisture']);
     }
 
     /**
-     * Scroll within the main content area
+     * Scroll within the main content area by a fraction of its height
      */
     async scrollContent(direction = 'down', distance = 0.5) {
         console.log(`Scrolling content ${direction}...`);
-        
+
         const scrollElement = await this.scrollView;
         if (await scrollElement.isDisplayed()) {
-            const rect = await scrollElement.getRect();
-            const centerX = rect.x + (rect.width / 2);
-            const startY = direction === 'down' ? rect.y + (rect.height * 0.7) : rect.y + (rect.height * 0.3);
-            const endY = direction === 'down' ? rect.y + (rect.height * 0.3) : rect.y + (rect.height * 0.7);
-            
-            await browser.touchAction([
-                { action: 'press', x: centerX, y: startY },
-                { action: 'wait', ms: 1000 },
-                { action: 'moveTo', x: centerX, y: endY },
-                { action: 'release' }
-            ]);
-            
-            await browser.pause(1000);
+            await Gestures.scroll({ direction, percent: distance, container: scrollElement });
+            await ScreenFingerprint.waitForScreenStable();
             await this.takeScreenshot(`after_scroll_${direction}`);
         } else {
             console.log('ScrollView not found or not displayed');
         }
     }
 
+    /**
+     * Scroll until an element with the given text is on screen
+     */
+    async scrollToText(text, maxScrolls = 5) {
+        return await Gestures.scrollIntoView({ text, maxScrolls, container: this.scrollView });
+    }
+
     /**
      * Get all available sections dynamically
      */
@@ -370,32 +401,81 @@ class ProductionDataPage {
     }
 
     /**
-     * Take a screenshot with a given name
+     * Take a screenshot with a given name, register the file and, when a step is running,
+     * compare it with the baseline of that name. Resolves with the registry entry (null
+     * when it failed).
      */
     async takeScreenshot(name) {
+        let capture = null;
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const filename = `${name}_${timestamp}.png`;
-            await browser.saveScreenshot(`./screenshots/${filename}`);
+            const filepath = RunOutput.path('screenshots', filename);
+            await browser.saveScreenshot(filepath);
+            capture = ScreenshotRegistry.register(name, filepath, { fingerprint: await this.fingerprintOrNull() });
             console.log(`Screenshot saved: ${filename}`);
         } catch (error) {
             console.log(`Failed to take screenshot: ${error.message}`);
         }
+        // A difference outside of a step (e.g. test_end) could not fail anything
+        if (capture && capture.step) {
+            VisualRegression.check(name, capture.path);
+        }
+        return capture;
+    }
+
+    async fingerprintOrNull() {
+        try {
+            return await ScreenFingerprint.capture();
+        } catch (error) {
+            return null;
+        }
     }
 
     /**
-     * Navigate back using Android back button
+     * Navigate back using Android back button, then take the named screenshot
+     * (none when screenshotName is null). Throws when the back press left the
+     * screen unchanged, so the step fails at the back press itself.
      */
-    async navigateBack() {
+    async navigateBack(screenshotName = 'after_back_navigation') {
+        console.log('Pressing back button...');
+        const before = await ScreenFingerprint.capture();
+        await browser.back();
         try {
-            console.log('Pressing back button...');
-            await browser.back();
-            await browser.pause(2000); // Wait for navigation
-            await this.takeScreenshot('after_back_navigation');
+            await ScreenFingerprint.waitForScreenChange(before);
         } catch (error) {
-            console.log(`Failed to navigate back: ${error.message}`);
+            throw new Error(`Back navigation failed: ${error.message}`);
+        }
+        await ScreenFingerprint.waitForScreenStable();
+        if (screenshotName) {
+            await this.takeScreenshot(screenshotName);
         }
     }
+
+    /**
+     * Press back until all of the screen's landmarks are shown, e.g. when an earlier step
+     * failed on a destination screen. The screen reached depends on where the app was,
+     * so no screenshot is compared on the way.
+     */
+    async returnToScreen(landmarks, screenName, maxBackPresses = 3) {
+        for (let press = 0; press <= maxBackPresses; press++) {
+            const current = await ScreenFingerprint.capture();
+            if (landmarks.every(label => current.landmarks.includes(label))) {
+                return current;
+            }
+            if (press < maxBackPresses) {
+                await this.navigateBack(null);
+            }
+        }
+        throw new Error(`Still not on the ${screenName} screen after pressing back ${maxBackPresses} times`);
+    }
+
+    /**
+     * Press back until the Production Data Collection screen is shown again
+     */
+    async returnToMainScreen(maxBackPresses = 3) {
+        return await this.returnToScreen([MAIN_TITLE], MAIN_TITLE, maxBackPresses);
+    }
 }
 
 module.exports = new ProductionDataPage();
@@ -0,0 +1,7 @@
+/**
+ * Footer template
+ */
+module.exports = ({ theme }, { html }) => html`
+        <footer class="footer">
+            <p>${theme.brand.footer} - ${new Date().getFullYear()}</p>
+        </footer>`;
@@ -0,0 +1,11 @@
+/**
+ * Header template: brand icon or logo, title, subtitle and generation time
+ */
+module.exports = ({ theme, logo }, { html }) => html`
+        <header class="header">
+            ${logo ? html`<img class="brand-logo" src="${logo}" alt="${theme.brand.company || theme.brand.title}">` : ''}
+            <h1>${logo ? '' : `${theme.brand.icon} `}${theme.brand.title}</h1>
+            <h2>${theme.brand.subtitle}</h2>
+            ${theme.brand.company ? html`<div class="brand-company">${theme.brand.company}</div>` : ''}
+            <div class="timestamp">Generated: ${new Date().toLocaleString()}</div>
+        </header>`;
@@ -0,0 +1,32 @@
+/**
+ * Healed locators template: locators that only matched through a fallback strategy
+ */
+module.exports = ({ healedLocators }, { html }) => {
+    if (!healedLocators || healedLocators.length === 0) {
+        return html``;
+    }
+
+    return html`
+        <div class="healed-section">
+            <h3>🩹 Healed Locators</h3>
+            <p>These locators did not match with their primary strategy and were found through a fallback. Update the primary selector in the page object.</p>
+            <table class="healed-table">
+                <thead>
+                    <tr>
+                        <th>Locator</th>
+                        <th>Primary (failed)</th>
+                        <th>Matched by</th>
+                        <th>Times</th>
+                    </tr>
+                </thead>
+                <tbody>${healedLocators.map(event => html`
+                    <tr>
+                        <td><strong>${event.locator}</strong></td>
+                        <td>${event.primaryStrategy}<br><code>${event.primarySelector}</code></td>
+                        <td>${event.matchedStrategy}<br><code>${event.matchedSelector}</code></td>
+                        <td>${event.count}</td>
+                    </tr>`)}
+                </tbody>
+            </table>
+        </div>`;
+};
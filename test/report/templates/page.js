@@ -0,0 +1,37 @@
+/**
+ * Page template: the document and the order of its sections
+ */
+module.exports = ({ testResults, theme, logo, styles, script }, { html, render }) => html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="${theme.colorScheme}">
+    <title>${theme.brand.title} - Test Report</title>
+    <style>
+        ${styles}
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${render('header', { theme, logo })}
+
+        ${render('summary', { testResults })}
+
+        ${render('timeline', { testResults })}
+
+        ${render('testList', { tests: testResults.tests })}
+
+        ${render('healedLocators', { healedLocators: testResults.healedLocators })}
+
+        ${render('screenshots', { testResults })}
+
+        ${render('technicalDetails', { testResults })}
+
+        ${render('footer', { theme })}
+    </div>
+    <script>
+        ${script}
+    </script>
+</body>
+</html>`;
@@ -0,0 +1,29 @@
+/**
+ * Screenshot thumbnails template: clickable thumbnails of registered screenshot files;
+ * a click opens the full-size image in an overlay (CSS :target, no script needed)
+ */
+const path = require('path');
+
+module.exports = ({ captures }, { html, relativePath }) => {
+    const items = captures.map(capture => {
+        const id = `shot-${path.basename(capture.path, '.png').replace(/[^\w-]/g, '_')}`;
+        const src = relativePath(capture.path);
+        const title = `${capture.name} - ${new Date(capture.time).toLocaleTimeString()}${capture.fingerprint ? ` - screen #${capture.fingerprint}` : ''}`;
+        return html`
+                        <figure class="screenshot-thumb">
+                            <a href="#${id}"><img src="${src}" alt="${capture.name}" title="${title}" loading="lazy"></a>
+                            <figcaption>${capture.name}</figcaption>
+                            <a href="#_" class="screenshot-lightbox" id="${id}">
+                                <img src="${src}" alt="${capture.name}">
+                                <span>${title}${capture.landmarks && capture.landmarks.length > 0 ? ` [${capture.landmarks.join(', ')}]` : ''}</span>
+                            </a>
+                        </figure>`;
+    });
+
+    return html`
+                    <div class="test-screenshots">
+                        <strong>Screenshots:</strong>
+                        <div class="screenshot-thumbs">${items}
+                        </div>
+                    </div>`;
+};
@@ -0,0 +1,21 @@
+/**
+ * Screenshots template: where the run's screenshots are, plus thumbnails of those
+ * taken outside of any step (e.g. test_end)
+ */
+const path = require('path');
+
+module.exports = ({ testResults }, { html, render }) => {
+    const captures = testResults.screenshotFiles || [];
+    const unattributed = captures.filter(capture => !capture.step);
+
+    return html`
+        <div class="screenshots-section">
+            <h3>📸 Screenshots</h3>
+            <p>Screenshots are saved in the <code>screenshots/</code> directory of this run.</p>
+            ${unattributed.length > 0 ? html`<p>${captures.length} screenshots captured during this run; taken outside of a step:</p>${render('screenshotThumbnails', { captures: unattributed })}` : ''}
+            <div class="screenshot-info">
+                <p>📁 <strong>Screenshot Directory:</strong> ${testResults.run && testResults.run.dir ? `${path.join(testResults.run.dir, 'screenshots')}/` : './screenshots/'}</p>
+                <p>🔍 <strong>Naming Convention:</strong> [action]_[timestamp].png</p>
+            </div>
+        </div>`;
+};
@@ -0,0 +1,34 @@
+/**
+ * Summary template: the counters and the run details
+ */
+module.exports = ({ testResults }, { html, formatDuration }) => {
+    const { summary, run } = testResults;
+    const duration = testResults.endTime && testResults.startTime ?
+        new Date(testResults.endTime) - new Date(testResults.startTime) : 0;
+    const cards = [
+        ['total', summary.total, 'Total Tests'],
+        ['passed', summary.passed, 'Passed'],
+        ['failed', summary.failed, 'Failed'],
+        ['skipped', summary.skipped || 0, 'Skipped'],
+        ['flaky', summary.flaky || 0, 'Flaky'],
+        ['success-rate', `${summary.successRate.toFixed(1)}%`, 'Success Rate']
+    ];
+
+    return html`
+        <div class="summary-section">
+            <h3>📊 Test Summary</h3>
+            <div class="summary-grid">${cards.map(([type, number, label]) => html`
+                <div class="summary-card ${type}">
+                    <div class="summary-number">${number}</div>
+                    <div class="summary-label">${label}</div>
+                </div>`)}
+            </div>
+            <div class="execution-info">
+                <p><strong>Suite:</strong> ${testResults.suiteName}</p>
+                ${run ? html`<p><strong>Run:</strong> ${run.id} (${run.device} / ${run.app}, APK ${run.apkVersion}) · <a href="../index.html">All runs</a> · <a href="../trends.html">Trends</a></p>` : ''}
+                <p><strong>Start Time:</strong> ${new Date(testResults.startTime).toLocaleString()}</p>
+                <p><strong>End Time:</strong> ${new Date(testResults.endTime).toLocaleString()}</p>
+                <p><strong>Duration:</strong> ${formatDuration(duration)}</p>
+            </div>
+        </div>`;
+};
@@ -0,0 +1,24 @@
+/**
+ * Technical details template: framework, automation, platform and the device and app
+ * under test, taken from the run
+ */
+module.exports = ({ testResults }, { html }) => {
+    const run = testResults.run || {};
+    const items = [
+        ['Test Framework', 'WebdriverIO + Mocha'],
+        ['Automation', 'Appium UiAutomator2'],
+        ['Platform', 'Android'],
+        ['Device', run.device || 'unknown'],
+        ['App', run.app ? `${run.app} (${run.apk || 'unknown APK'}, version ${run.apkVersion || 'unknown'})` : 'unknown']
+    ];
+
+    return html`
+        <div class="technical-details">
+            <h3>⚙️ Technical Details</h3>
+            <div class="tech-grid">${items.map(([label, value]) => html`
+                <div class="tech-item">
+                    <strong>${label}:</strong> ${value}
+                </div>`)}
+            </div>
+        </div>`;
+};
@@ -0,0 +1,122 @@
+/**
+ * Test card template: header with status and duration, then the details of the step:
+ * error or skip reason, failure diagnostics, inputs, retry attempts, visual comparisons,
+ * healed locators and screenshots
+ */
+const VISUAL_ICONS = { matched: '✅', written: '🆕', updated: '🔄', failed: '❌' };
+
+const DIAGNOSTIC_FILES = { screenshot: 'screenshot', pageSource: 'page source', commands: 'commands', deviceLog: 'device log', manifest: 'diagnostics.json' };
+
+module.exports = ({ test, index }, helpers) => {
+    const { html, render, formatDuration, statusOf } = helpers;
+    const statusIcon = { passed: '✅', skipped: '⏭️' }[test.status] || '❌';
+    const search = [test.name, test.error, test.reason, test.details, ...(test.attempts || []).map(attempt => attempt.error)]
+        .filter(Boolean).join(' ').toLowerCase();
+
+    return html`
+            <div class="test-item test-${statusOf(test)}" id="test-${index}" data-status="${statusOf(test)}" data-flaky="${String(Boolean(test.flaky))}" data-search="${search}">
+                <div class="test-header" role="button" tabindex="0" aria-expanded="true">
+                    <span class="test-status">${statusIcon}</span>
+                    <h4 class="test-name">${test.name}${test.flaky ? html` <span class="flaky-badge">FLAKY</span>` : ''}</h4>
+                    <span class="test-duration">${formatDuration(test.duration)}</span>
+                </div>
+                <div class="test-details">
+                    <p><strong>Status:</strong> ${test.status.toUpperCase()}</p>
+                    <p><strong>Details:</strong> ${test.details || 'No additional details'}</p>
+                    ${test.error ? html`<p class="error-message"><strong>Error:</strong> ${test.error}</p>` : ''}
+                    ${diagnostics(test.diagnostics, helpers)}
+                    ${test.reason ? html`<p class="skip-reason"><strong>Skipped:</strong> ${test.reason}</p>` : ''}
+                    ${inputs(test.inputs, helpers)}
+                    ${attempts(test.attempts, helpers)}
+                    ${visualComparisons(test.visual, helpers)}
+                    ${test.healedLocators && test.healedLocators.length > 0 ?
+                        html`<p class="healed-note"><strong>Healed locators:</strong> ${test.healedLocators.join(', ')}</p>` : ''}
+                    ${test.screenshotFiles && test.screenshotFiles.length > 0 ?
+                        render('screenshotThumbnails', { captures: test.screenshotFiles }) :
+                        test.screenshots && test.screenshots.length > 0 ? html`<p><strong>Screenshots:</strong> ${test.screenshots.join(', ')}</p>` : ''}
+                </div>
+            </div>`;
+};
+
+/**
+ * Links to the diagnostics bundle of a failed step and the app state it captured
+ */
+function diagnostics(bundle, { html, relativePath }) {
+    if (!bundle || !bundle.files) {
+        return '';
+    }
+
+    const links = Object.entries(DIAGNOSTIC_FILES)
+        .filter(([name]) => bundle.files[name])
+        .map(([name, label]) => html` · <a href="${relativePath(bundle.files[name])}" target="_blank">${label}</a>`);
+    const app = bundle.app ? [bundle.app.package, bundle.app.activity].filter(Boolean).join('/') : '';
+
+    return html`
+                    <p class="diagnostics"><strong>🧰 Diagnostics:</strong> ${bundle.files.index ?
+                        html`<a href="${relativePath(bundle.files.index)}" target="_blank">open bundle</a>` : relativePath(bundle.dir)}${links}${app ? html`<br><strong>App state:</strong> ${app}` : ''}</p>`;
+}
+
+/**
+ * Input values of a step (its inputs)
+ */
+function inputs(values, { html }) {
+    if (!values || Object.keys(values).length === 0) {
+        return '';
+    }
+
+    return html`
+                    <div class="test-inputs">
+                        <strong>Inputs:</strong>
+                        <table class="inputs-table">${Object.entries(values).map(([name, value]) => html`
+                        <tr><th>${name}</th><td>${value === '' ? html`<em>(empty)</em>` : value}</td></tr>`)}
+                        </table>
+                    </div>`;
+}
+
+/**
+ * Attempt history of a step that was retried
+ */
+function attempts(list, { html, formatDuration }) {
+    if (!list || list.length < 2) {
+        return '';
+    }
+
+    return html`
+                    <div class="test-attempts">
+                        <strong>Attempts:</strong>
+                        <ol class="attempts-list">${list.map(attempt => html`
+                            <li class="attempt-${attempt.status}">Attempt ${attempt.attempt}: ${attempt.status.toUpperCase()} in ${formatDuration(attempt.duration)}${attempt.error ? ` - ${attempt.errorClass ? `[${attempt.errorClass}] ` : ''}${attempt.error}` : ''}</li>`)}
+                        </ol>
+                    </div>`;
+}
+
+/**
+ * Baseline comparisons of the step's screenshots, with the baseline, screenshot and
+ * diff images embedded for the ones that differ
+ */
+function visualComparisons(visual, { html, embedImage }) {
+    if (!visual || visual.length === 0) {
+        return '';
+    }
+
+    const figure = (label, file) => {
+        const source = file ? embedImage(file) : null;
+        return source ? html`<figure><img src="${source}" alt="${label}"><figcaption>${label}</figcaption></figure>` : '';
+    };
+    const items = visual.map(comparison => {
+        const ratio = comparison.ratio !== undefined ? ` - ${(comparison.ratio * 100).toFixed(2)}% different` : '';
+        const images = comparison.status === 'failed' || comparison.status === 'updated' ? html`
+                            <div class="visual-images">
+                                ${figure('Baseline', comparison.status === 'updated' ? null : comparison.baseline)}${figure('Screenshot', comparison.actual)}${figure('Diff', comparison.diff)}
+                            </div>` : '';
+        return html`
+                            <li class="visual-${comparison.status}">${VISUAL_ICONS[comparison.status] || ''} ${comparison.name}: ${comparison.status.toUpperCase()}${ratio}${comparison.message ? ` (${comparison.message})` : ''}${images}</li>`;
+    });
+
+    return html`
+                    <div class="test-visual">
+                        <strong>Visual comparison:</strong>
+                        <ul class="visual-list">${items}
+                        </ul>
+                    </div>`;
+}
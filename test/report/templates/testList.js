@@ -0,0 +1,27 @@
+/**
+ * Test list template: status filters, free-text search and expand/collapse controls
+ * (wired up by the report script; without scripts the full list stays visible), then
+ * one card per test
+ */
+module.exports = ({ tests }, { html, render, statusOf }) => {
+    const count = filter => tests.filter(test => statusOf(test) === filter || (filter === 'flaky' && test.flaky)).length;
+    const filters = [['all', 'All', tests.length], ['passed', 'Passed', count('passed')], ['failed', 'Failed', count('failed')],
+        ['skipped', 'Skipped', count('skipped')], ['flaky', 'Flaky', count('flaky')]];
+
+    return html`
+        <div class="tests-section">
+            <h3>🔍 Test Details</h3>
+            <div class="report-toolbar">
+                <div class="status-filters">${filters.map(([filter, label, number]) => html`
+                    <button type="button" class="filter-button${filter === 'all' ? ' active' : ''}" data-filter="${filter}">${label} <span>${number}</span></button>`)}
+                </div>
+                <input type="search" id="test-search" placeholder="Search names, errors, details..." aria-label="Search tests">
+                <button type="button" data-toggle-all="expand">Expand all</button>
+                <button type="button" data-toggle-all="collapse">Collapse all</button>
+                <span id="match-count"></span>
+            </div>
+            <div id="test-list">${tests.map((test, index) => render('testCard', { test, index }))}
+            </div>
+            <p id="no-matches" hidden>No test matches the filter.</p>
+        </div>`;
+};
@@ -0,0 +1,66 @@
+/**
+ * Timeline template: Gantt view of the steps on the run's time axis, one bar per step
+ * from its start time and duration, split into retry attempts, with screenshot captures
+ * as ticks. The idle time before a step is shown in front of its bar.
+ */
+
+// Shortest gap between steps shown on the timeline (ms)
+const MIN_IDLE = 100;
+
+module.exports = ({ testResults }, { html, formatSeconds, statusOf }) => {
+    const timed = testResults.tests
+        .map((test, index) => ({ test, index, start: test.startTime ? new Date(test.startTime).getTime() : NaN }))
+        .filter(entry => !isNaN(entry.start));
+    if (timed.length === 0) {
+        return html``;
+    }
+
+    const runStart = Math.min(new Date(testResults.startTime).getTime() || Infinity, ...timed.map(entry => entry.start));
+    const runEnd = Math.max(new Date(testResults.endTime).getTime() || 0, ...timed.map(entry => entry.start + (entry.test.duration || 0)));
+    const span = Math.max(runEnd - runStart, 1);
+    const percent = time => `${(((time - runStart) / span) * 100).toFixed(3)}%`;
+    const width = ms => `${((Math.max(ms, 0) / span) * 100).toFixed(3)}%`;
+
+    let previousEnd = runStart;
+    let idleTotal = 0;
+    const rows = timed.map(({ test, index, start }) => {
+        const duration = test.duration || 0;
+        // Gaps of a few ms are just the bookkeeping between two steps
+        const idle = start - previousEnd >= MIN_IDLE ? start - previousEnd : 0;
+        idleTotal += idle;
+        const idleBar = idle > 0 ? html`<span class="timeline-idle" style="left:${percent(previousEnd)};width:${width(idle)}" title="${formatSeconds(idle)} between steps"></span>` : '';
+        previousEnd = Math.max(previousEnd, start + duration);
+
+        const attempts = (test.attempts || []).length > 1 ? test.attempts.filter(attempt => attempt.startTime).map(attempt => {
+            const offset = new Date(attempt.startTime).getTime() - start;
+            return html`<span class="timeline-attempt attempt-${attempt.status}" style="left:${((offset / Math.max(duration, 1)) * 100).toFixed(3)}%;width:${((attempt.duration / Math.max(duration, 1)) * 100).toFixed(3)}%" title="Attempt ${attempt.attempt}: ${attempt.status} in ${formatSeconds(attempt.duration)}"></span>`;
+        }) : '';
+        const ticks = (test.screenshotFiles || []).map(capture => html`<span class="timeline-tick" style="left:${percent(new Date(capture.time).getTime())}" title="📸 ${capture.name} at +${formatSeconds(new Date(capture.time).getTime() - start)}"></span>`);
+        const title = `${test.name}: ${test.status.toUpperCase()} in ${formatSeconds(duration)}, starts at +${formatSeconds(start - runStart)}${idle > 0 ? `, ${formatSeconds(idle)} after the previous step` : ''}`;
+
+        return html`
+                <div class="timeline-row" data-test="test-${index}">
+                    <a class="timeline-label" href="#test-${index}" title="${test.name}">${test.name}</a>
+                    <div class="timeline-track">${idleBar}
+                        <a class="timeline-bar bar-${statusOf(test)}${test.flaky ? ' bar-flaky' : ''}" href="#test-${index}" style="left:${percent(start)};width:${width(duration)}" title="${title}">${attempts}</a>${ticks}
+                    </div>
+                    <span class="timeline-duration">${formatSeconds(duration)}</span>
+                </div>`;
+    });
+
+    const axis = [0, 0.25, 0.5, 0.75, 1].map(fraction => html`<span style="left:${(fraction * 100).toFixed(0)}%">+${formatSeconds(Math.round(span * fraction))}</span>`);
+    const stepTime = timed.reduce((sum, entry) => sum + (entry.test.duration || 0), 0);
+
+    return html`
+        <div class="timeline-section">
+            <h3>⏱️ Timeline</h3>
+            <p>${timed.length} steps over ${formatSeconds(span)}: ${formatSeconds(stepTime)} in steps, ${formatSeconds(idleTotal)} between them (hatched). Ticks mark screenshots; retried steps are split into their attempts. Click a bar to open the step.</p>
+            <div class="timeline">${rows}
+                <div class="timeline-row timeline-axis">
+                    <span class="timeline-label"></span>
+                    <div class="timeline-track">${axis}</div>
+                    <span class="timeline-duration"></span>
+                </div>
+            </div>
+        </div>`;
+};
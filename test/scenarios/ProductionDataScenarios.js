@@ -0,0 +1,77 @@
+/**
+ * Production Data Collection Scenarios
+ * Declarative definition of every test step, executed by both run-single-test.js
+ * and the WDIO spec through ScenarioRunner so they record identical results.
+ *
+ * A step is { name, title, screenshots, dependsOn, retry, beforeRetry, inputs, run }:
+ * name is the result/report name, title the mocha test title, and run() does the
+ * work and resolves with the details shown in the report.
+ */
+
+const ProductionDataPage = require('../pageobjects/ProductionDataPage');
+const NavigationGraph = require('../helpers/NavigationGraph');
+const PageSnapshot = require('../helpers/PageSnapshot');
+
+// Screens, tiles and accordions; the navigation tests are generated from it (NAVIGATION_GRAPH selects another file)
+const NAVIGATION = NavigationGraph.load(process.env.NAVIGATION_GRAPH || './test/scenarios/navigation.json');
+
+const STEPS = {
+    launch: 'App Launch and Main Screen Verification',
+    specimen: NavigationGraph.stepName(NAVIGATION, 'specimen'),
+    dome: NavigationGraph.stepName(NAVIGATION, 'dome'),
+    harvesting: NavigationGraph.stepName(NAVIGATION, 'harvesting'),
+    mediaMoisture: NavigationGraph.stepName(NAVIGATION, 'mediaMoisture'),
+    summary: 'Test Summary and Verification'
+};
+
+async function verifyMainScreen(message) {
+    const mainTitle = await ProductionDataPage.mainTitle;
+    if (!await mainTitle.isDisplayed()) {
+        throw new Error(message);
+    }
+}
+
+const steps = [
+    {
+        name: STEPS.launch,
+        title: 'should open the app and verify main screen',
+        screenshots: ['test_start'],
+        run: async () => {
+            console.log('\n=== Opening app and verifying main screen ===');
+            await ProductionDataPage.takeScreenshot('test_start');
+            await ProductionDataPage.waitForPageLoad();
+            await verifyMainScreen('Main title is not displayed');
+            await PageSnapshot.match('main_screen');
+            console.log('✅ App opened successfully and main screen verified');
+
+            return 'App launched successfully and main screen verified';
+        }
+    },
+
+    // Navigate-and-back and accordion tests from test/scenarios/navigation.json
+    ...NavigationGraph.generateSteps(NAVIGATION, {
+        page: ProductionDataPage,
+        dependsOn: [STEPS.launch],
+        screenshot: name => ProductionDataPage.takeScreenshot(name),
+        snapshot: name => PageSnapshot.match(name)
+    }),
+
+    {
+        name: STEPS.summary,
+        title: 'should complete comprehensive test summary',
+        screenshots: ['comprehensive_test_completed'],
+        run: async () => {
+            await ProductionDataPage.takeScreenshot('comprehensive_test_completed');
+            await verifyMainScreen('Not on main screen after test completion');
+            await PageSnapshot.match('main_screen_completed');
+
+            return 'All test scenarios completed successfully with proper navigation flow';
+        }
+    }
+];
+
+module.exports = {
+    NAVIGATION,
+    STEPS,
+    steps
+};
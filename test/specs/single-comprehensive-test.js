@@ -7,371 +7,18 @@
  * 3. Click Dome button → expands to show Harvesting and Media Moisture (no screen change)
  * 4. Click Harvesting button (after expanding Dome) → screen changes → press back
  * 5. Click Media Moisture button (after expanding Dome) → screen changes → press back
+ *
+ * The steps are defined in test/scenarios/ProductionDataScenarios.js and shared
+ * with run-single-test.js.
  */
 
 const ProductionDataPage = require('../pageobjects/ProductionDataPage');
-const TestReportGenerator = require('../helpers/TestReportGenerator');
+const MochaScenarioAdapter = require('../helpers/MochaScenarioAdapter');
+const ProductionDataScenarios = require('../scenarios/ProductionDataScenarios');
 
 describe('Production Data Collection App - Comprehensive Test', () => {
-
-    let testResults = {
+    MochaScenarioAdapter.register(ProductionDataScenarios, {
         suiteName: 'Production Data Collection App - Comprehensive Test',
-        startTime: null,
-        endTime: null,
-        tests: [],
-        summary: {
-            total: 0,
-            passed: 0,
-            failed: 0,
-            successRate: 0
-        }
-    };
-
-    before(async () => {
-        console.log('=== Starting Comprehensive Test Suite ===');
-        testResults.startTime = new Date().toISOString();
-        await ProductionDataPage.takeScreenshot('test_start');
-    });
-
-    after(async () => {
-        console.log('=== Test Suite Completed ===');
-        testResults.endTime = new Date().toISOString();
-        testResults.summary.successRate = testResults.summary.total > 0 ?
-            (testResults.summary.passed / testResults.summary.total) * 100 : 0;
-
-        await ProductionDataPage.takeScreenshot('test_end');
-
-        // Generate comprehensive HTML report
-        await TestReportGenerator.generateComprehensiveReport(testResults);
-        console.log('📄 Comprehensive HTML report generated!');
-    });
-
-    it('should open the app and verify main screen', async () => {
-        const testName = 'App Launch and Main Screen Verification';
-        const testStart = Date.now();
-        console.log('Step 1: Opening app and verifying main screen...');
-
-        try {
-            // Wait for the app to load
-            await ProductionDataPage.waitForPageLoad();
-
-            // Verify main title is displayed
-            const mainTitle = await ProductionDataPage.mainTitle;
-            await expect(mainTitle).toBeDisplayed();
-
-            console.log('✅ App opened successfully and main screen verified');
-
-            // Record successful test
-            testResults.tests.push({
-                name: testName,
-                status: 'passed',
-                duration: Date.now() - testStart,
-                details: 'App launched successfully and main screen verified',
-                screenshots: ['test_start']
-            });
-            testResults.summary.passed++;
-
-        } catch (error) {
-            console.error('❌ App launch failed:', error.message);
-
-            // Record failed test
-            testResults.tests.push({
-                name: testName,
-                status: 'failed',
-                duration: Date.now() - testStart,
-                error: error.message,
-                screenshots: ['test_start']
-            });
-            testResults.summary.failed++;
-            throw error;
-        } finally {
-            testResults.summary.total++;
-        }
-    });
-
-    it('should click Specimen button, verify screen change, and navigate back', async () => {
-        const testName = 'Specimen Button Navigation Test';
-        const testStart = Date.now();
-        console.log('Step 2: Testing Specimen button interaction...');
-
-        try {
-            // Take screenshot before clicking
-            await ProductionDataPage.takeScreenshot('before_specimen_click');
-
-            // Click Specimen section
-            await ProductionDataPage.clickSection('specimen');
-
-            // Wait for screen change
-            await browser.pause(3000);
-
-            // Take screenshot after clicking to verify screen change
-            await ProductionDataPage.takeScreenshot('after_specimen_click_screen_change');
-
-            // Navigate back
-            await ProductionDataPage.navigateBack();
-
-            // Verify we're back to main screen
-            const mainTitle = await ProductionDataPage.mainTitle;
-            await expect(mainTitle).toBeDisplayed();
-
-            console.log('✅ Specimen button test completed successfully');
-
-            // Record successful test
-            testResults.tests.push({
-                name: testName,
-                status: 'passed',
-                duration: Date.now() - testStart,
-                details: 'Specimen button clicked, screen changed, and successfully navigated back',
-                screenshots: ['before_specimen_click', 'after_specimen_click_screen_change']
-            });
-            testResults.summary.passed++;
-
-        } catch (error) {
-            console.error('❌ Specimen button test failed:', error.message);
-
-            // Record failed test
-            testResults.tests.push({
-                name: testName,
-                status: 'failed',
-                duration: Date.now() - testStart,
-                error: error.message,
-                screenshots: ['before_specimen_click', 'after_specimen_click_screen_change']
-            });
-            testResults.summary.failed++;
-            throw error;
-        } finally {
-            testResults.summary.total++;
-        }
-    });
-
-    it('should click Dome button and verify it expands to show Harvesting and Media Moisture', async () => {
-        const testName = 'Dome Button Expansion Test';
-        const testStart = Date.now();
-        console.log('Step 3: Testing Dome button expansion...');
-
-        try {
-            // Take screenshot before clicking
-            await ProductionDataPage.takeScreenshot('before_dome_click');
-
-            // Click Dome section to expand
-            await ProductionDataPage.clickSection('dome');
-
-            // Wait for expansion
-            await browser.pause(3000);
-
-            // Take screenshot after clicking to verify expansion
-            await ProductionDataPage.takeScreenshot('after_dome_expansion');
-
-            // Verify Harvesting and Media Moisture are now visible/accessible
-            let harvestingVisible = false;
-            let mediaMoistureVisible = false;
-
-            try {
-                const harvestingSection = await ProductionDataPage.harvestingSection;
-                const mediaMoistureSection = await ProductionDataPage.mediaMoistureSection;
-
-                harvestingVisible = await harvestingSection.isDisplayed();
-                mediaMoistureVisible = await mediaMoistureSection.isDisplayed();
-
-                console.log(`Harvesting visible after Dome expansion: ${harvestingVisible}`);
-                console.log(`Media Moisture visible after Dome expansion: ${mediaMoistureVisible}`);
-
-            } catch (error) {
-                console.log(`Note: Could not verify expanded items visibility: ${error.message}`);
-            }
-
-            console.log('✅ Dome button expansion test completed');
-
-            // Record successful test
-            testResults.tests.push({
-                name: testName,
-                status: 'passed',
-                duration: Date.now() - testStart,
-                details: `Dome expanded successfully. Harvesting visible: ${harvestingVisible}, Media Moisture visible: ${mediaMoistureVisible}`,
-                screenshots: ['before_dome_click', 'after_dome_expansion']
-            });
-            testResults.summary.passed++;
-
-        } catch (error) {
-            console.error('❌ Dome expansion test failed:', error.message);
-
-            // Record failed test
-            testResults.tests.push({
-                name: testName,
-                status: 'failed',
-                duration: Date.now() - testStart,
-                error: error.message,
-                screenshots: ['before_dome_click', 'after_dome_expansion']
-            });
-            testResults.summary.failed++;
-            throw error;
-        } finally {
-            testResults.summary.total++;
-        }
-    });
-
-    it('should click Harvesting button (after expanding Dome), verify screen change, and navigate back', async () => {
-        const testName = 'Harvesting Button Navigation Test';
-        const testStart = Date.now();
-        console.log('Step 4: Testing Harvesting button interaction...');
-
-        try {
-            // Ensure Dome is expanded to access Harvesting
-            await ProductionDataPage.ensureDomeExpanded();
-
-            // Take screenshot before clicking Harvesting
-            await ProductionDataPage.takeScreenshot('before_harvesting_click');
-
-            // Click Harvesting section
-            await ProductionDataPage.clickSection('harvesting');
-
-            // Wait for screen change
-            await browser.pause(3000);
-
-            // Take screenshot after clicking to verify screen change
-            await ProductionDataPage.takeScreenshot('after_harvesting_click_screen_change');
-
-            // Navigate back
-            await ProductionDataPage.navigateBack();
-
-            // Verify we're back to main screen
-            const mainTitle = await ProductionDataPage.mainTitle;
-            await expect(mainTitle).toBeDisplayed();
-
-            console.log('✅ Harvesting button test completed successfully');
-
-            // Record successful test
-            testResults.tests.push({
-                name: testName,
-                status: 'passed',
-                duration: Date.now() - testStart,
-                details: 'Dome expanded, Harvesting button clicked, screen changed, and successfully navigated back',
-                screenshots: ['before_harvesting_click', 'after_harvesting_click_screen_change']
-            });
-            testResults.summary.passed++;
-
-        } catch (error) {
-            console.error('❌ Harvesting button test failed:', error.message);
-
-            // Record failed test
-            testResults.tests.push({
-                name: testName,
-                status: 'failed',
-                duration: Date.now() - testStart,
-                error: error.message,
-                screenshots: ['before_harvesting_click', 'after_harvesting_click_screen_change']
-            });
-            testResults.summary.failed++;
-            throw error;
-        } finally {
-            testResults.summary.total++;
-        }
-    });
-
-    it('should click Media Moisture button (after expanding Dome), verify screen change, and navigate back', async () => {
-        const testName = 'Media Moisture Button Navigation Test';
-        const testStart = Date.now();
-        console.log('Step 5: Testing Media Moisture button interaction...');
-
-        try {
-            // Ensure Dome is expanded to access Media Moisture
-            await ProductionDataPage.ensureDomeExpanded();
-
-            // Take screenshot before clicking Media Moisture
-            await ProductionDataPage.takeScreenshot('before_media_moisture_click');
-
-            // Click Media Moisture section
-            await ProductionDataPage.clickSection('mediaMoisture');
-
-            // Wait for screen change
-            await browser.pause(3000);
-
-            // Take screenshot after clicking to verify screen change
-            await ProductionDataPage.takeScreenshot('after_media_moisture_click_screen_change');
-
-            // Navigate back
-            await ProductionDataPage.navigateBack();
-
-            // Verify we're back to main screen
-            const mainTitle = await ProductionDataPage.mainTitle;
-            await expect(mainTitle).toBeDisplayed();
-
-            console.log('✅ Media Moisture button test completed successfully');
-
-            // Record successful test
-            testResults.tests.push({
-                name: testName,
-                status: 'passed',
-                duration: Date.now() - testStart,
-                details: 'Dome expanded, Media Moisture button clicked, screen changed, and successfully navigated back',
-                screenshots: ['before_media_moisture_click', 'after_media_moisture_click_screen_change']
-            });
-            testResults.summary.passed++;
-
-        } catch (error) {
-            console.error('❌ Media Moisture button test failed:', error.message);
-
-            // Record failed test
-            testResults.tests.push({
-                name: testName,
-                status: 'failed',
-                duration: Date.now() - testStart,
-                error: error.message,
-                screenshots: ['before_media_moisture_click', 'after_media_moisture_click_screen_change']
-            });
-            testResults.summary.failed++;
-            throw error;
-        } finally {
-            testResults.summary.total++;
-        }
-    });
-
-    it('should complete comprehensive test summary', async () => {
-        const testName = 'Test Summary and Verification';
-        const testStart = Date.now();
-        console.log('Step 6: Test Summary...');
-
-        try {
-            // Take final screenshot
-            await ProductionDataPage.takeScreenshot('comprehensive_test_completed');
-
-            // Verify we're still on the main screen
-            const mainTitle = await ProductionDataPage.mainTitle;
-            await expect(mainTitle).toBeDisplayed();
-
-            console.log('=== COMPREHENSIVE TEST SUMMARY ===');
-            console.log('✅ App Launch: SUCCESS');
-            console.log('✅ Specimen Button: Click → Screen Change → Back Navigation');
-            console.log('✅ Dome Button: Click → Expansion (Harvesting & Media Moisture visible)');
-            console.log('✅ Harvesting Button: Dome Expand → Click → Screen Change → Back Navigation');
-            console.log('✅ Media Moisture Button: Dome Expand → Click → Screen Change → Back Navigation');
-            console.log('✅ All tests completed successfully!');
-
-            // Record successful test
-            testResults.tests.push({
-                name: testName,
-                status: 'passed',
-                duration: Date.now() - testStart,
-                details: 'All test scenarios completed successfully with proper navigation flow',
-                screenshots: ['comprehensive_test_completed']
-            });
-            testResults.summary.passed++;
-
-        } catch (error) {
-            console.error('❌ Test summary failed:', error.message);
-
-            // Record failed test
-            testResults.tests.push({
-                name: testName,
-                status: 'failed',
-                duration: Date.now() - testStart,
-                error: error.message,
-                screenshots: ['comprehensive_test_completed']
-            });
-            testResults.summary.failed++;
-            throw error;
-        } finally {
-            testResults.summary.total++;
-        }
+        screenshot: name => ProductionDataPage.takeScreenshot(name)
     });
 });
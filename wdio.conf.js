@@ -1,4 +1,7 @@
-const path = require('path');
+const DeviceProfiles = require('./test/helpers/DeviceProfiles');
+
+// Select with DEVICE_PROFILE / APP_PROFILE environment variables
+const profile = DeviceProfiles.resolve();
 
 exports.config = {
     // ====================
@@ -22,37 +25,8 @@ exports.config = {
     // Capabilities
     // ============
     maxInstances: 1,
-    capabilities: [{
-        // Platform Name
-        platformName: 'Android',
-        
-        // Device Name (for emulator) or leave empty for real device
-        'appium:deviceName': 'Android Emulator',
-        
-        // Platform Version
-        'appium:platformVersion': '15',
-        
-        // App Path - pointing to your APK file
-        'appium:app': path.join(process.cwd(), 'app-dev-release.apk'),
-        
-        // Automation Name
-        'appium:automationName': 'UiAutomator2',
-        
-        // Additional capabilities
-        'appium:newCommandTimeout': 240,
-        'appium:connectHardwareKeyboard': true,
-        
-        // For real device, uncomment and set the UDID
-        // 'appium:udid': 'your-device-udid',
-        
-        // App package and activity (will be auto-detected from APK)
-        // 'appium:appPackage': 'com.yourapp.package',
-        // 'appium:appActivity': 'com.yourapp.MainActivity',
-        
-        // Reset app state
-        'appium:noReset': false,
-        'appium:fullReset': false
-    }],
+    // Capabilities come from the shared profile module, see test/helpers/DeviceProfiles.js
+    capabilities: [profile.capabilities],
     
     // ===================
     // Test Configurations
@@ -88,6 +62,7 @@ exports.config = {
     // =====
     onPrepare: function (config, capabilities) {
         console.log('Starting Appium tests...');
+        console.log(`📱 Profile: ${profile.name} - ${DeviceProfiles.describe(profile)}`);
     },
     
     onComplete: function(exitCode, config, capabilities, results) {
@@ -127,7 +102,7 @@ exports.config = {
 
     // Connection options
     protocol: 'http',
-    hostname: 'localhost',
-    port: 4723,
-    path: '/'
+    hostname: profile.connection.hostname,
+    port: profile.connection.port,
+    path: profile.connection.path
 };